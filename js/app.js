@@ -26,6 +26,8 @@ if (window.location.hostname === "localhost" || window.location.hostname === "12
     assessmentBuilder: window.AssessmentBuilder,
     mathUtils: window.MathUtils,
     questionUtils: window.QuestionUtils,
+    expressionEvaluator: window.ExpressionEvaluator,
+    answerEvaluator: window.AnswerEvaluator,
     drawingEngine: window.DrawingEngine
   };
   
@@ -22,6 +22,7 @@ class AssessmentBuilder {
 
       // Initialize UI
       window.UIManager.populateCourses();
+      window.UIManager.renderImportedBanks();
       
       this.initialized = true;
       console.log("Assessment Builder initialized successfully");
@@ -56,7 +57,7 @@ class AssessmentBuilder {
   getStatus() {
     return {
       initialized: this.initialized,
-      questionBankLoaded: Object.keys(window.QuestionGenerator.questionBank).length > 0,
+      questionBankLoaded: window.QuestionGenerator.getCourses().length > 0,
       selectedQuestions: window.UIManager.selectedQuestions.length
     };
   }
@@ -0,0 +1,193 @@
+/**
+ * Multiple-choice options built from distractor rules
+ *
+ * A template with a "distractors" block becomes multiple choice without
+ * hand-written choices:
+ *
+ *   "distractors": {
+ *     "answer": "-b / (2*a)",
+ *     "rules": ["signError", "reciprocal", { "label": "dropped the 2", "expression": "-b / a" }],
+ *     "count": 4,
+ *     "text": "\\( x = {value} \\)"
+ *   }
+ *
+ * answer is the correct value as an expression over the instance's variables.
+ * Each rule is a built-in name (see DISTRACTOR_RULES), an expression, or
+ * { label, expression }. "forgotToDistribute" needs the product it applies to,
+ * "distribute": { "factor": "a", "terms": ["b", "c"] } for a(b + c), and gives
+ * a*b + c; when the answer is not that product itself (x solving a(x + b) = c),
+ * write the wrong answer as an expression rule instead.
+ * Candidates that are not finite, or that equal the answer or an earlier option
+ * numerically (1/2 and 0.5) or as displayed text, are skipped; if the rules run
+ * out, off-by-n values fill the remaining options. text wraps each value
+ * ({value} accepts format pipes) and defaults to the value itself.
+ */
+
+const DEFAULT_CHOICE_COUNT = 4;
+const MAX_FILL_OFFSET = 20;
+
+// Built-in rules: each maps the correct value to one or more wrong values;
+// evaluate(expression) reads the instance's variables
+const DISTRACTOR_RULES = {
+  signError: (value, ops) => [ops.negate(value)],
+  reciprocal: (value, ops) => [ops.divide(1, value)],
+  offByOne: (value, ops) => [ops.add(value, 1), ops.subtract(value, 1)],
+  double: (value, ops) => [ops.multiply(value, 2)],
+  half: (value, ops) => [ops.divide(value, 2)],
+  square: (value, ops) => [ops.multiply(value, value)],
+  forgotToDistribute: (value, ops, spec, evaluate) => {
+    const { factor, terms } = spec.distribute || {};
+    if (factor === undefined || !Array.isArray(terms) || terms.length < 2) {
+      throw new Error('needs "distribute": { "factor": ..., "terms": [...] }');
+    }
+    const [first, ...rest] = terms.map(term => evaluate(String(term)));
+    return [rest.reduce((sum, term) => ops.add(sum, term), ops.multiply(evaluate(String(factor)), first))];
+  }
+};
+
+// Tried after the template's own rules when they leave too few options
+const FALLBACK_RULES = ["offByOne", "signError", "double", "half"];
+
+class DistractorGenerator {
+  /**
+   * Build the option texts for an instance: { choices: [text], answerIndex }.
+   * The correct option is placed at a random position drawn from random.
+   * Problems (a failing rule, too few distinct options) are pushed onto errors;
+   * returns null when the answer itself cannot be evaluated.
+   */
+  generate(template, variables, random = Math.random, errors = []) {
+    const spec = template.distractors || {};
+    const count = Math.max(2, Number(spec.count) || DEFAULT_CHOICE_COUNT);
+    const reportError = (cause, message) => {
+      errors.push({ templateId: template.id, field: "distractors", cause, message });
+      console.warn(`Template ${template.id}: ${message}`);
+    };
+
+    let answer;
+    try {
+      answer = this.evaluate(spec.answer, variables);
+    } catch (error) {
+      reportError("evaluation", `distractors.answer "${spec.answer}" failed: ${error.message}`);
+      return null;
+    }
+
+    const options = [this.createOption(answer, spec, variables)];
+    const seen = { values: new Set(), texts: new Set() };
+    this.remember(options[0], seen);
+
+    const tryAdd = (value) => {
+      if (options.length >= count || !this.isUsable(value)) return;
+      const option = this.createOption(value, spec, variables);
+      if (this.isDuplicate(option, seen)) return;
+      this.remember(option, seen);
+      options.push(option);
+    };
+
+    for (const rule of spec.rules || []) {
+      try {
+        this.applyRule(rule, answer, spec, variables).forEach(tryAdd);
+      } catch (error) {
+        reportError("rule", `distractor rule ${JSON.stringify(rule)} failed: ${error.message}`);
+      }
+    }
+
+    for (const candidate of this.fallbackCandidates(answer)) {
+      if (options.length >= count) break;
+      tryAdd(candidate);
+    }
+
+    if (options.length < count) {
+      reportError("count", `only ${options.length} distinct options for ${count} choices`);
+    }
+
+    const answerIndex = Math.floor(random() * options.length);
+    [options[0], options[answerIndex]] = [options[answerIndex], options[0]];
+    return { choices: options.map(option => option.text), answerIndex };
+  }
+
+  /**
+   * Evaluate an expression exactly over the instance's variables
+   */
+  evaluate(expression, variables) {
+    if (typeof expression !== "string" || expression.trim() === "") {
+      throw new Error("expected an expression");
+    }
+    return window.ExpressionEvaluator.evaluateExact(expression, { ...variables, ...(variables.__exact || {}) });
+  }
+
+  /**
+   * Wrong values for one rule: a built-in name, an expression, or { label, expression }
+   */
+  applyRule(rule, answer, spec, variables) {
+    if (typeof rule === "string" && Object.prototype.hasOwnProperty.call(DISTRACTOR_RULES, rule)) {
+      const evaluate = expression => this.evaluate(expression, variables);
+      return DISTRACTOR_RULES[rule](answer, window.MathUtils.exactArithmetic, spec, evaluate);
+    }
+    const expression = typeof rule === "string" ? rule : rule && rule.expression;
+    return [this.evaluate(expression, variables)];
+  }
+
+  /**
+   * Built-in fallbacks, then answer ± 2, ± 3, ...
+   */
+  *fallbackCandidates(answer) {
+    const ops = window.MathUtils.exactArithmetic;
+    for (const name of FALLBACK_RULES) {
+      yield* DISTRACTOR_RULES[name](answer, ops);
+    }
+    for (let offset = 2; offset <= MAX_FILL_OFFSET; offset++) {
+      yield ops.add(answer, offset);
+      yield ops.subtract(answer, offset);
+    }
+  }
+
+  /**
+   * Finite real values and complex numbers can be options; NaN, Infinity and text cannot
+   */
+  isUsable(value) {
+    if (window.MathUtils.isComplex(value)) return true;
+    const num = window.MathUtils.toNumber(value);
+    return typeof num === "number" && isFinite(num);
+  }
+
+  createOption(value, spec, variables) {
+    const display = window.QuestionUtils.formatValueForDisplay(value, variables.__rounding);
+    const text = spec.text
+      ? window.QuestionUtils.replaceTemplateVariables(spec.text, this.withValue(variables, value, display))
+      : display;
+    return { value, text };
+  }
+
+  /**
+   * Copy of the instance's variables with the option's value as {value}
+   */
+  withValue(variables, value, display) {
+    const scope = { ...variables, value: window.MathUtils.toNumber(value) };
+    Object.defineProperty(scope, "__display", { value: { ...(variables.__display || {}), value: display } });
+    Object.defineProperty(scope, "__exact", {
+      value: { ...(variables.__exact || {}), ...(window.MathUtils.isExact(value) ? { value } : {}) }
+    });
+    return scope;
+  }
+
+  /**
+   * Numeric key rounded to 10 significant digits, so 1/2 and 0.5 collide; null for complex values
+   */
+  numericKey(value) {
+    const num = window.MathUtils.toNumber(value);
+    return isFinite(num) ? String(Number(num.toPrecision(10))) : null;
+  }
+
+  isDuplicate(option, seen) {
+    const key = this.numericKey(option.value);
+    return (key !== null && seen.values.has(key)) || seen.texts.has(option.text);
+  }
+
+  remember(option, seen) {
+    const key = this.numericKey(option.value);
+    if (key !== null) seen.values.add(key);
+    seen.texts.add(option.text);
+  }
+}
+
+window.DistractorGenerator = new DistractorGenerator();
@@ -1,397 +1,1045 @@
 /**
- * Utility functions for question handling and validation
+ * Question bank loading, indexing and question generation
  *
- * Features:
- * - Evaluate formulas with built-in Math
- * - Display formula results as:
- *     • Integers
- *     • Simplified fractions (e.g. \( \frac{7}{3} \))
- *     • Simplified radicals (e.g. \( 2\sqrt{3} \), \( \frac{1}{2}\sqrt{5} \))
- * - Exact fraction detection for integer arithmetic
+ * The bank is a JSON object shaped as { course: { chapter: [template, ...] } }.
+ * A course may also hold course-wide defaults under "settings" (e.g. { "rounding": ... }).
+ * Templates are indexed once on load so the UI can list courses, chapters,
+ * objectives and difficulties without rescanning the whole bank.
+ *
+ * Several bank files can make up the bank: a manifest ({ "banks": ["algebra.json", ...] },
+ * paths relative to the manifest) lists them, and banks teachers import are kept in
+ * localStorage. Banks are merged by course and chapter in order, built-in files
+ * first; a template whose id an earlier bank already uses is left out and reported
+ * in this.collisions. Ids the bank index lists for a file not loaded yet are
+ * reserved for that file, and a file loaded later never replaces a template
+ * already merged.
+ *
+ * When the manifest names an "index" (built by npm run index:bank), only the index
+ * is fetched at startup: it summarizes every file's chapters (ids, objectives with
+ * their difficulties, tags), so courses, chapters and the filter dropdowns are
+ * listed without the templates. A course's files are fetched by loadCourse(course).
+ * Without an index every file is fetched up front.
  */
 
-function validateVariableValue(value, constraints, allVars) {
-  if (!constraints) return true;
-
-  if (constraints.exclude) {
-    for (const exclusion of constraints.exclude) {
-      if (typeof exclusion === 'string') {
-        if (allVars[exclusion] !== undefined) {
-          if (value === allVars[exclusion]) return false;
-        } else {
-          const numEx = Number(exclusion);
-          if (!isNaN(numEx) && value === numEx) return false;
-        }
-      } else if (value === exclusion) {
-        return false;
+const DEFAULT_QUESTION_BANK_URL = "src/data/question_banks.json";
+const IMPORTED_BANKS_STORAGE_KEY = "assessmentBuilder.importedBanks";
+const DIFFICULTY_ORDER = ["basic", "intermediate", "advanced"];
+const COURSE_SETTINGS_KEY = "settings";
+const MAX_VERSION_ATTEMPTS = 25;
+const MAX_ORDER_SHUFFLES = 10;
+const BLANK_PATTERN = /_{3,}/g;
+
+// Item types beyond free response ("type": "template"), each with its own instance fields
+const ITEM_TYPE_GENERATORS = {
+  trueFalse: "generateTrueFalse",
+  matching: "generateMatching",
+  fillInBlank: "generateFillInBlank",
+  ordering: "generateOrdering"
+};
+
+class QuestionGenerator {
+  constructor() {
+    this.questionBank = {};
+    this.bankSources = [];
+    this.bankFiles = [];
+    this.bankIndex = null;
+    this.manifestUrl = null;
+    this.pendingFiles = new Map();
+    this.collisions = [];
+    this.templateOwners = new Map();
+    this.index = this.createEmptyIndex();
+  }
+
+  /**
+   * Fetch the question bank (a manifest of bank files or a single bank file),
+   * merge in the banks imported into this browser and index the result
+   */
+  async loadQuestionBank(url = DEFAULT_QUESTION_BANK_URL) {
+    try {
+      const data = await this.fetchJson(url);
+      if (!Array.isArray(data.banks)) {
+        this.setBankSources([{ name: url, bank: data }, ...this.loadImportedBanks()]);
+        console.log(`Loaded ${this.index.byId.size} question templates from ${url}`);
+        return true;
+      }
+
+      this.manifestUrl = new URL(url, window.location.href).href;
+      this.bankFiles = data.banks;
+      this.bankIndex = data.index ? await this.fetchBankIndex(data.index) : null;
+      this.setBankSources(this.loadImportedBanks());
+
+      if (!this.bankIndex) {
+        await Promise.all(this.bankFiles.map(file => this.loadBankFile(file)));
       }
+      console.log(`Indexed ${this.index.idLocations.size} question templates from ${this.bankFiles.length} bank file(s)`);
+      return true;
+    } catch (error) {
+      console.error("Failed to load question bank:", error);
+      return false;
     }
   }
 
-  return true;
-}
+  /**
+   * The manifest's index, or null (every file is then loaded up front)
+   */
+  async fetchBankIndex(file) {
+    try {
+      return await this.fetchJson(this.resolveBankUrl(file));
+    } catch (error) {
+      console.warn(`Question bank index ${file} could not be loaded; loading every bank file instead:`, error);
+      return null;
+    }
+  }
 
-function generateVariableValue(key, constraints, allVars, maxAttempts = 50) {
-  // Handle textValue: pick a random string from the array
-  if (constraints.textValue && Array.isArray(constraints.textValue)) {
-    return constraints.textValue[Math.floor(Math.random() * constraints.textValue.length)];
+  resolveBankUrl(file) {
+    return new URL(file, this.manifestUrl).href;
   }
 
-  let attempts = 0;
-  let value;
+  /**
+   * Fetch one manifest file and merge it in (once; concurrent calls share the request)
+   */
+  loadBankFile(file) {
+    if (!this.pendingFiles.has(file)) {
+      const request = this.fetchJson(this.resolveBankUrl(file))
+        .then(bank => this.addBankSource({ name: file, bank }))
+        .catch(error => {
+          this.pendingFiles.delete(file);
+          throw error;
+        });
+      this.pendingFiles.set(file, request);
+    }
+    return this.pendingFiles.get(file);
+  }
 
-  do {
-    if (constraints.values) {
-      // Pick from predefined values
-      value = constraints.values[Math.floor(Math.random() * constraints.values.length)];
-    } else if (typeof constraints.min === "number" && typeof constraints.max === "number") {
-      // Generate within range
-      value = Math.floor(Math.random() * (constraints.max - constraints.min + 1)) + constraints.min;
-    } else {
-      // Fallback
-      value = constraints.default !== undefined ? constraints.default : 0;
+  /**
+   * Fetch the not yet loaded files that hold a course; resolves to false if one fails
+   */
+  async loadCourse(course) {
+    const files = this.bankFiles.filter(file =>
+      !this.isBankFileLoaded(file) && this.bankIndex && this.bankIndex.banks[file] && course in this.bankIndex.banks[file]);
+    try {
+      await Promise.all(files.map(file => this.loadBankFile(file)));
+      return true;
+    } catch (error) {
+      console.error(`Failed to load the question bank files of ${course}:`, error);
+      return false;
     }
+  }
 
-    attempts++;
-  } while (!validateVariableValue(value, constraints, allVars) && attempts < maxAttempts);
+  /**
+   * True when every file holding the course is loaded, so its templates are available
+   */
+  isCourseLoaded(course) {
+    return !this.bankFiles.some(file =>
+      !this.isBankFileLoaded(file) && this.bankIndex && this.bankIndex.banks[file] && course in this.bankIndex.banks[file]);
+  }
 
-  if (attempts >= maxAttempts) {
-    console.warn(`Could not generate valid value for variable ${key} after ${maxAttempts} attempts`);
-    return constraints.default !== undefined ? constraints.default : 0;
+  isBankFileLoaded(file) {
+    return this.bankSources.some(source => !source.imported && source.name === file);
   }
 
-  return value;
-}
+  /**
+   * Merge in a fetched file, keeping built-in files in manifest order before imported banks.
+   * Ids already merged keep their template, so a template in use is never replaced.
+   */
+  addBankSource(source) {
+    const rank = ({ name, imported }) => (imported ? this.bankFiles.length : this.bankFiles.indexOf(name));
+    this.setBankSources([...this.bankSources, source].sort((a, b) => rank(a) - rank(b)), this.templateOwners);
+  }
 
-/* -----------------------------
-   Math Helpers
-   ----------------------------- */
+  async fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} while loading ${url}`);
+    }
+    return response.json();
+  }
 
-function gcd(a, b) {
-  a = Math.abs(a);
-  b = Math.abs(b);
-  while (b !== 0) {
-    [a, b] = [b, a % b];
+  /**
+   * Replace the current bank with an already parsed bank object
+   */
+  setQuestionBank(bank) {
+    this.bankFiles = [];
+    this.bankIndex = null;
+    this.setBankSources([{ name: "bank", bank }]);
   }
-  return a;
-}
 
-function evaluateJSExpression(expression, variables = {}) {
-  const helpers = {
-    sqrt: Math.sqrt, sin: Math.sin, cos: Math.cos, tan: Math.tan,
-    asin: Math.asin, acos: Math.acos, atan: Math.atan,
-    abs: Math.abs, pow: Math.pow, log: Math.log, ln: Math.log,
-    exp: Math.exp, min: Math.min, max: Math.max,
-    round: Math.round, floor: Math.floor, ceil: Math.ceil,
-    PI: Math.PI, E: Math.E,
-  };
-
-  const helperNames = Object.keys(helpers);
-  const fnArgs = ['vars', ...helperNames, 'Math'];
-  const fnBody = `with(vars){ return (${expression}); }`;
-  const fn = new Function(...fnArgs, fnBody);
-
-  const fnArgValues = [variables, ...helperNames.map(n => helpers[n]), Math];
-  return fn(...fnArgValues);
-}
+  /**
+   * Replace the current bank with the merge of [{ name, bank, imported }] in order.
+   * owners (id → source name) are ids that keep their source whatever the order.
+   */
+  setBankSources(sources, owners = new Map()) {
+    const merged = this.mergeQuestionBanks(sources, this.reserveIndexedIds(sources, owners));
+    merged.collisions.forEach(({ id, source, existing }) => {
+      console.warn(`Template ${id} in ${source} was skipped: ${existing} already has a template with this id`);
+    });
 
-/**
- * Try to parse a simple arithmetic expression (for exact fraction detection)
- */
-function tryParseIntegerDivision(formula, vars) {
-  if (!formula) return null;
+    this.bankSources = sources;
+    this.collisions = merged.collisions;
+    this.templateOwners = merged.owners;
+    this.questionBank = merged.bank;
+    this.buildIndex();
+  }
+
+  /**
+   * owners plus the ids the bank index lists for manifest files not among sources
+   */
+  reserveIndexedIds(sources, owners) {
+    const reserved = new Map(owners);
+    const names = new Set(sources.map(source => source.name));
+    for (const file of this.bankFiles) {
+      if (names.has(file) || !this.bankIndex || !this.bankIndex.banks[file]) continue;
+
+      for (const chapters of Object.values(this.bankIndex.banks[file])) {
+        for (const [chapter, summary] of Object.entries(chapters || {})) {
+          if (chapter === COURSE_SETTINGS_KEY && !Array.isArray(summary.ids)) continue;
+          (summary.ids || []).forEach(id => {
+            if (!reserved.has(id)) reserved.set(id, file);
+          });
+        }
+      }
+    }
+    return reserved;
+  }
 
-  // Match patterns like: (a*d + c)/b  or  a/b  or  (x + 1)/(y - 2)
-  const divRegex = /\(?\s*([^()\/]+)\s*\/\s*([^()\/]+)\s*\)?$/;
-  const match = formula.match(divRegex);
-  if (!match) return null;
+  /**
+   * Merge banks by course and chapter; returns { bank, collisions, owners }.
+   * Chapters keep their templates in source order and course settings are merged
+   * key by key, earlier sources taking precedence. A template whose id belongs to
+   * another source (in owners, or used by an earlier source) is skipped and listed
+   * as { id, source, existing, course, chapter } (duplicates inside one file are kept).
+   * owners comes back with every merged id.
+   */
+  mergeQuestionBanks(sources, reserved = new Map()) {
+    const bank = {};
+    const owners = new Map(reserved);
+    const collisions = [];
 
-  const numExpr = match[1].trim();
-  const denExpr = match[2].trim();
+    for (const { name, bank: sourceBank } of sources) {
+      for (const [course, chapters] of Object.entries(sourceBank || {})) {
+        const mergedCourse = bank[course] || (bank[course] = {});
 
-  try {
-    const num = evaluateJSExpression(numExpr, vars);
-    const den = evaluateJSExpression(denExpr, vars);
+        for (const [chapter, templates] of Object.entries(chapters || {})) {
+          if (chapter === COURSE_SETTINGS_KEY && !Array.isArray(templates)) {
+            mergedCourse[chapter] = { ...templates, ...mergedCourse[chapter] };
+            continue;
+          }
 
-    if (Number.isInteger(num) && Number.isInteger(den) && den !== 0) {
-      return { n: num, d: den };
+          const list = mergedCourse[chapter] || (mergedCourse[chapter] = []);
+          for (const template of Array.isArray(templates) ? templates : []) {
+            const id = template && template.id;
+            if (id && owners.has(id) && owners.get(id) !== name) {
+              collisions.push({ id, source: name, existing: owners.get(id), course, chapter });
+              continue;
+            }
+            if (id) owners.set(id, name);
+            list.push(template);
+          }
+        }
+      }
     }
-  } catch (e) {
-    // ignore
+
+    return { bank, collisions, owners };
   }
 
-  return null;
-}
+  /* -----------------------------
+     Imported banks
+     ----------------------------- */
 
-/**
- * Detect simplified radical: k * sqrt(m) or (p/q) * sqrt(m)
- */
-function detectSimplifiedRadical(value, maxM = 100, maxDen = 100, eps = 1e-10) {
-  if (!isFinite(value) || value === 0) return null;
-  const signStr = value < 0 ? "-" : "";
-  const absVal = Math.abs(value);
-
-  for (let m = 2; m <= maxM; m++) {
-    const sqrtM = Math.sqrt(m);
-    if (Math.abs(sqrtM - Math.round(sqrtM)) < 1e-12) continue;
-
-    const kFloat = absVal / sqrtM;
-    const frac = approximateFraction(kFloat, maxDen, eps);
-    if (frac) {
-      const candidate = (frac.n / frac.d) * sqrtM;
-      if (Math.abs(candidate - absVal) < eps) {
-        let radical = m;
-        let coeffNum = frac.n;
-        for (let i = 2; i * i <= radical; i++) {
-          while (radical % (i * i) === 0) {
-            coeffNum *= i;
-            radical /= (i * i);
+  /**
+   * Banks imported into this browser, as bank sources
+   */
+  loadImportedBanks() {
+    if (typeof localStorage === "undefined") return [];
+    try {
+      const stored = JSON.parse(localStorage.getItem(IMPORTED_BANKS_STORAGE_KEY) || "[]");
+      return Array.isArray(stored) ? stored.map(entry => ({ ...entry, imported: true })) : [];
+    } catch (error) {
+      console.warn("Ignoring unreadable imported question banks:", error);
+      return [];
+    }
+  }
+
+  saveImportedBanks(sources) {
+    const stored = sources.map(({ name, bank, importedAt }) => ({ name, bank, importedAt }));
+    localStorage.setItem(IMPORTED_BANKS_STORAGE_KEY, JSON.stringify(stored));
+  }
+
+  /**
+   * Imported banks as [{ name, importedAt, templateCount }]
+   */
+  getImportedBanks() {
+    return this.bankSources
+      .filter(source => source.imported)
+      .map(({ name, bank, importedAt }) => ({ name, importedAt, templateCount: this.countTemplates(bank) }));
+  }
+
+  countTemplates(bank) {
+    return Object.values(bank || {}).reduce((count, chapters) =>
+      count + Object.values(chapters || {}).reduce((sum, templates) =>
+        sum + (Array.isArray(templates) ? templates.length : 0), 0), 0);
+  }
+
+  /**
+   * Validate a bank file's JSON text and, if it has no errors, store it in this
+   * browser (replacing an earlier import with the same name) and merge it in.
+   * Returns { imported, errors, warnings, templateCount }.
+   */
+  importQuestionBank(name, text) {
+    let bank;
+    try {
+      bank = JSON.parse(text);
+    } catch (error) {
+      return { imported: false, errors: [`${name} is not valid JSON: ${error.message}`], warnings: [], templateCount: 0 };
+    }
+
+    const { errors, warnings } = this.validateQuestionBank(bank, name);
+    const templateCount = errors.length === 0 ? this.countTemplates(bank) : 0;
+    if (errors.length > 0) {
+      return { imported: false, errors, warnings, templateCount };
+    }
+
+    const imports = [
+      ...this.bankSources.filter(source => source.imported && source.name !== name),
+      { name, bank, imported: true, importedAt: new Date().toISOString() }
+    ];
+    try {
+      this.saveImportedBanks(imports);
+    } catch (error) {
+      return { imported: false, errors: [`${name} could not be stored in this browser: ${error.message}`], warnings, templateCount };
+    }
+
+    this.setBankSources([...this.bankSources.filter(source => !source.imported), ...imports], this.getOwnersExcept(name));
+    return { imported: true, errors, warnings, templateCount };
+  }
+
+  /**
+   * Remove an imported bank from this browser and from the merged bank
+   */
+  removeImportedBank(name) {
+    const remaining = this.bankSources.filter(source => !(source.imported && source.name === name));
+    this.saveImportedBanks(remaining.filter(source => source.imported));
+    this.setBankSources(remaining, this.getOwnersExcept(name));
+  }
+
+  /**
+   * Current id owners without the ids of one source, for re-merging without it
+   */
+  getOwnersExcept(name) {
+    return new Map([...this.templateOwners].filter(([, owner]) => owner !== name));
+  }
+
+  /**
+   * Check a bank before importing it; returns { errors, warnings } as messages.
+   * Errors: a shape other than { course: { chapter: [template] } }, templates
+   * without an id or question, ids repeated in the file or already used by
+   * another bank, formula and condition errors. Warnings: TeX problems in sample instances.
+   */
+  validateQuestionBank(bank, name) {
+    const errors = [];
+    const warnings = [];
+    if (!bank || typeof bank !== "object" || Array.isArray(bank)) {
+      return { errors: ["A question bank must be an object of courses: { course: { chapter: [template, ...] } }"], warnings };
+    }
+
+    const ids = new Set();
+    for (const [course, chapters] of Object.entries(bank)) {
+      if (!chapters || typeof chapters !== "object" || Array.isArray(chapters)) {
+        errors.push(`${course}: a course must be an object of chapters`);
+        continue;
+      }
+
+      for (const [chapter, templates] of Object.entries(chapters)) {
+        if (chapter === COURSE_SETTINGS_KEY && !Array.isArray(templates)) continue;
+        if (!Array.isArray(templates)) {
+          errors.push(`${course} › ${chapter}: a chapter must be a list of templates`);
+          continue;
+        }
+
+        templates.forEach((template, position) => {
+          const label = template && template.id ? template.id : `${course} › ${chapter}[${position}]`;
+          if (!template || typeof template !== "object" || Array.isArray(template)) {
+            errors.push(`${label}: a template must be an object`);
+            return;
           }
+          errors.push(...this.validateImportedTemplate(template, label, ids, name));
+          if (typeof template.id === "string" && template.id) ids.add(template.id);
+
+          window.LatexValidator.validateTemplate(template)
+            .forEach(issue => warnings.push(`${label} ${issue.path.join(".")}: ${issue.message}`));
+        });
+      }
+    }
+
+    if (Object.keys(bank).length === 0) errors.push("The bank has no courses");
+    return { errors, warnings };
+  }
+
+  validateImportedTemplate(template, label, ids, name) {
+    const errors = [];
+    if (typeof template.id !== "string" || !template.id) {
+      errors.push(`${label}: missing "id"`);
+    } else if (ids.has(template.id)) {
+      errors.push(`${label}: the id is used twice in this file`);
+    } else {
+      const existing = this.index.idLocations.get(template.id);
+      if (existing && existing.source !== name) {
+        errors.push(`${label}: the id is already used by ${existing.source} (${existing.course} › ${existing.chapter})`);
+      }
+    }
+
+    if (typeof template.question !== "string" && !Array.isArray(template.parts)) {
+      errors.push(`${label}: missing "question"`);
+    }
+
+    [...window.QuestionUtils.analyzeFormulaDependencies(template).errors, ...window.QuestionUtils.analyzeConditions(template).errors]
+      .forEach(error => errors.push(`${label}: ${error.message.replace(/^Template [^,]*, /, "")}`));
+    return errors;
+  }
+
+  createEmptyIndex() {
+    return {
+      byCourse: new Map(),
+      courseSettings: new Map(),
+      byId: new Map(),
+      byObjective: new Map(),
+      byDifficulty: new Map(),
+      catalog: new Map(),
+      idLocations: new Map()
+    };
+  }
+
+  /**
+   * Index loaded templates by course, chapter, objective, difficulty and id, and
+   * catalog every course (loaded or only in the bank index)
+   */
+  buildIndex() {
+    const index = this.createEmptyIndex();
+    this.buildCatalog(index);
+
+    for (const [course, chapters] of Object.entries(this.questionBank)) {
+      const chapterMap = new Map();
+      index.byCourse.set(course, chapterMap);
+
+      for (const [chapter, templates] of Object.entries(chapters || {})) {
+        if (chapter === COURSE_SETTINGS_KEY && !Array.isArray(templates)) {
+          index.courseSettings.set(course, templates || {});
+          continue;
         }
-        const g = gcd(Math.abs(coeffNum), frac.d);
-        coeffNum /= g;
-        const finalD = frac.d / g;
-
-        const absN = Math.abs(coeffNum);
-        const signCoeff = coeffNum < 0 ? "-" : "";
-        let coeffPart = "";
-        if (absN === 1 && finalD === 1) {
-          coeffPart = "";
-        } else if (finalD === 1) {
-          coeffPart = String(absN);
-        } else {
-          coeffPart = `\\frac{${absN}}{${finalD}}`;
+
+        const list = Array.isArray(templates) ? templates : [];
+        chapterMap.set(chapter, list);
+
+        list.forEach(template => {
+          if (template.id && !index.byId.has(template.id)) {
+            index.byId.set(template.id, { template, course, chapter });
+          }
+          this.addToIndex(index.byObjective, template.objective, template);
+          this.addToIndex(index.byDifficulty, this.normalizeDifficulty(template.difficulty), template);
+        });
+      }
+    }
+
+    this.index = index;
+  }
+
+  /**
+   * index.catalog: course → { settings, chapters: chapter → { ids, objectives: objective →
+   * Set of difficulties, tags } }, merged from the summaries of loaded banks and of
+   * the bank index's files not loaded yet, in source order. index.idLocations:
+   * id → { course, chapter, source } for every cataloged template.
+   */
+  buildCatalog(index) {
+    const loaded = new Map(this.bankSources.map(source => [source.name, source]));
+    const summaries = [
+      ...this.bankFiles.map(file => ({
+        name: file,
+        summary: loaded.has(file) ? this.summarizeBank(loaded.get(file).bank) : this.bankIndex && this.bankIndex.banks[file]
+      })),
+      ...this.bankSources
+        .filter(source => !this.bankFiles.includes(source.name))
+        .map(source => ({ name: source.name, summary: this.summarizeBank(source.bank) }))
+    ];
+
+    for (const { name, summary } of summaries) {
+      for (const [course, chapters] of Object.entries(summary || {})) {
+        if (!index.catalog.has(course)) index.catalog.set(course, { settings: {}, chapters: new Map() });
+        const entry = index.catalog.get(course);
+
+        for (const [chapter, chapterSummary] of Object.entries(chapters || {})) {
+          if (chapter === COURSE_SETTINGS_KEY && !Array.isArray(chapterSummary.ids)) {
+            entry.settings = { ...chapterSummary, ...entry.settings };
+            continue;
+          }
+          this.addChapterSummary(index, entry, { course, chapter, source: name }, chapterSummary);
         }
-        const radicalPart = radical === 1 ? "" : `\\sqrt{${radical}}`;
-        const expr = coeffPart + radicalPart;
-        return `${signStr}${signCoeff}\\( ${expr} \\)`.replace(/^\-\(\s*-/, '\\( -').replace(/\(\s*$/, '\\(');
       }
     }
   }
-  return null;
-}
 
-function approximateFraction(x, maxDenominator = 1000, eps = 1e-12) {
-  if (!isFinite(x)) return null;
-  const sign = x < 0 ? -1 : 1;
-  x = Math.abs(x);
-  const a = [];
-  let q = x;
-  for (let i = 0; i < 20; i++) {
-    const ai = Math.floor(q);
-    a.push(ai);
-    const frac = q - ai;
-    if (frac < eps) break;
-    q = 1 / frac;
-  }
-
-  let num0 = 1, den0 = 0;
-  let num1 = a[0], den1 = 1;
-  if (a.length === 1) {
-    const g = gcd(num1, den1);
-    return { n: sign * (num1 / g), d: den1 / g };
-  }
-  for (let i = 1; i < a.length; i++) {
-    const num2 = a[i] * num1 + num0;
-    const den2 = a[i] * den1 + den0;
-    if (den2 > maxDenominator) break;
-    num0 = num1; den0 = den1;
-    num1 = num2; den1 = den2;
-  }
-  const g = gcd(Math.abs(num1), den1);
-  const approxN = sign * (num1 / g);
-  const approxD = den1 / g;
-  if (Math.abs(approxN / approxD - x) < eps) {
-    return { n: approxN, d: approxD };
-  }
-  return null;
-}
+  addChapterSummary(index, entry, location, { ids = [], objectives = {}, tags = [] }) {
+    if (!entry.chapters.has(location.chapter)) {
+      entry.chapters.set(location.chapter, { ids: [], objectives: new Map(), tags: new Set() });
+    }
+    const chapter = entry.chapters.get(location.chapter);
 
-/**
- * Main display formatter — now detects exact fractions from formulas
- */
-function formatNumberForDisplay(num, formula = null, vars = null) {
-  if (num === null || num === undefined || Number.isNaN(num)) return String(num);
-  if (!isFinite(num)) return String(num);
-
-  // 1. Integer
-  if (Number.isInteger(num)) return String(num);
-
-  // 2. Exact fraction from integer division (e.g. (a*d+c)/b)
-  if (formula && vars) {
-    const exact = tryParseIntegerDivision(formula, vars);
-    if (exact) {
-      let n = exact.n;
-      let d = exact.d;
-      const sign = n < 0 ? -1 : 1;
-      n = Math.abs(n);
-      d = Math.abs(d);
-      const g = gcd(n, d);
-      n /= g;
-      d /= g;
-      n *= sign;
-      if (d === 1) return String(n);
-      return `\\( \\frac{${n < 0 ? '-' + (-n) : n}}{${d}} \\)`;
-    }
-  }
-
-  // 3. Simplified radical
-  const radical = detectSimplifiedRadical(num);
-  if (radical) return radical;
-
-  // 4. Approximate fraction (fallback)
-  const frac = approximateFraction(num, 1000, 1e-12);
-  if (frac && frac.d !== 1 && Math.abs(frac.n / frac.d - num) < 1e-12) {
-    return `\\( \\frac{${frac.n}}{${frac.d}} \\)`;
-  }
-
-  // 5. Clean decimal (last resort)
-  let s = num.toFixed(8);
-  s = s.replace(/\.?0+$/, '');
-  return s || '0';
-}
+    ids.forEach(id => {
+      const existing = index.idLocations.get(id);
+      const owner = this.templateOwners.get(id);
+      if ((existing && existing.source !== location.source) || (owner && owner !== location.source)) return;
+      if (!existing) index.idLocations.set(id, location);
+      chapter.ids.push(id);
+    });
+    for (const [objective, difficulties] of Object.entries(objectives)) {
+      if (!chapter.objectives.has(objective)) chapter.objectives.set(objective, new Set());
+      difficulties.forEach(difficulty => chapter.objectives.get(objective).add(difficulty));
+    }
+    tags.forEach(tag => chapter.tags.add(tag));
+  }
+
+  /**
+   * A bank with each chapter's templates replaced by { ids, objectives: { objective:
+   * [difficulty, ...] }, tags } (tags only when present); the shape of a bank index file
+   */
+  summarizeBank(bank) {
+    const summary = {};
+    for (const [course, chapters] of Object.entries(bank || {})) {
+      summary[course] = {};
+      for (const [chapter, templates] of Object.entries(chapters || {})) {
+        summary[course][chapter] = chapter === COURSE_SETTINGS_KEY && !Array.isArray(templates)
+          ? templates || {}
+          : this.summarizeChapter(Array.isArray(templates) ? templates : []);
+      }
+    }
+    return summary;
+  }
 
-/* -----------------------------
-   Main Variable Generation
-   ----------------------------- */
+  summarizeChapter(templates) {
+    const ids = [];
+    const objectives = {};
+    const tags = new Set();
 
-function generateQuestionVariables(questionTemplate) {
-  const vars = {};
-  const displayVars = {};
-  const variableDefinitions = questionTemplate.variables || {};
+    templates.forEach(template => {
+      if (!template) return;
+      if (template.id) ids.push(template.id);
+      if (template.objective) {
+        const difficulties = objectives[template.objective] || (objectives[template.objective] = []);
+        const difficulty = this.normalizeDifficulty(template.difficulty);
+        if (difficulty && !difficulties.includes(difficulty)) difficulties.push(difficulty);
+      }
+      (Array.isArray(template.tags) ? template.tags : []).forEach(tag => tags.add(tag));
+    });
 
-  // Pass 1: Base variables (including textValue and direct numbers)
-for (const [key, constraints] of Object.entries(variableDefinitions)) {
-  if (typeof constraints === 'number') {
-    vars[key] = constraints;
-    continue;
+    return tags.size > 0 ? { ids, objectives, tags: Array.from(tags) } : { ids, objectives };
   }
-  if (!constraints) continue;
 
-  // Handle textValue - pick randomly and store as string
-  if (constraints.textValue && Array.isArray(constraints.textValue)) {
-    vars[key] = constraints.textValue[Math.floor(Math.random() * constraints.textValue.length)];
-    displayVars[key] = vars[key]; // Store as plain string for display
-    continue;
+  /**
+   * Bank index for npm run index:bank: { banks: { file: summarizeBank(bank) } }
+   */
+  createBankIndex(sources) {
+    return {
+      banks: Object.fromEntries(sources.map(({ name, bank }) => [name, this.summarizeBank(bank)]))
+    };
   }
 
-  // Skip formula variables (handled in Pass 2)
-  if (constraints.formula) continue;
-  
-  // Generate numeric variables
-  vars[key] = generateVariableValue(key, constraints, vars);
-}
+  addToIndex(map, key, template) {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(template);
+  }
 
-  // Pass 2: Formula variables
-  let formulaKeys = Object.keys(variableDefinitions).filter(k => variableDefinitions[k]?.formula);
-  let maxIterations = 20;
+  normalizeDifficulty(difficulty) {
+    return difficulty ? String(difficulty).trim().toLowerCase() : "";
+  }
 
-  while (formulaKeys.length > 0 && maxIterations > 0) {
-    const resolved = [];
-    for (const key of formulaKeys) {
-      const constraints = variableDefinitions[key];
-      try {
-        const numericVars = { ...vars };
-        const rawResult = evaluateJSExpression(constraints.formula, numericVars);
-        const value = typeof rawResult === 'number' ? rawResult : Number(rawResult);
+  /**
+   * List course names in bank order (including courses not loaded yet)
+   */
+  getCourses() {
+    return Array.from(this.index.catalog.keys());
+  }
+
+  /**
+   * List chapter names for a course in bank order
+   */
+  getChapters(course) {
+    const entry = this.index.catalog.get(course);
+    return entry ? Array.from(entry.chapters.keys()) : [];
+  }
+
+  /**
+   * Course-wide defaults from the course's "settings" entry
+   */
+  getCourseSettings(course) {
+    const entry = this.index.catalog.get(course);
+    return entry ? entry.settings : {};
+  }
+
+  /**
+   * Settings of the course a template belongs to (looked up by id, so copies work)
+   */
+  getTemplateCourseSettings(template) {
+    const location = template && this.index.idLocations.get(template.id);
+    return location ? this.getCourseSettings(location.course) : {};
+  }
+
+  getChapterSummaries(course, chapters) {
+    const entry = this.index.catalog.get(course);
+    return entry ? chapters.map(chapter => entry.chapters.get(chapter)).filter(Boolean) : [];
+  }
+
+  /**
+   * Objectives of the given chapters from the catalog, in first-seen order
+   */
+  getChapterObjectives(course, chapters) {
+    const objectives = new Set();
+    this.getChapterSummaries(course, chapters)
+      .forEach(summary => summary.objectives.forEach((difficulties, objective) => objectives.add(objective)));
+    return Array.from(objectives);
+  }
+
+  /**
+   * Difficulties of the given chapters (of one objective, if given), ordered basic → advanced
+   */
+  getChapterDifficulties(course, chapters, objective = "") {
+    const difficulties = new Set();
+    this.getChapterSummaries(course, chapters).forEach(summary => {
+      summary.objectives.forEach((objectiveDifficulties, name) => {
+        if (!objective || name === objective) objectiveDifficulties.forEach(difficulty => difficulties.add(difficulty));
+      });
+    });
+    return this.sortDifficulties(difficulties);
+  }
+
+  /**
+   * Tags of the given chapters' templates
+   */
+  getChapterTags(course, chapters) {
+    const tags = new Set();
+    this.getChapterSummaries(course, chapters).forEach(summary => summary.tags.forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort();
+  }
+
+  /**
+   * Collect templates from the given chapters of a course (loaded courses only; see loadCourse)
+   */
+  getQuestionsFromChapters(course, chapters) {
+    const chapterMap = this.index.byCourse.get(course);
+    if (!chapterMap) return [];
+
+    return chapters.flatMap(chapter => chapterMap.get(chapter) || []);
+  }
+
+  /**
+   * Look up a template by id
+   */
+  getQuestionById(id) {
+    const entry = this.index.byId.get(id);
+    return entry ? entry.template : null;
+  }
+
+  sortDifficulties(difficulties) {
+    const rank = d => {
+      const i = DIFFICULTY_ORDER.indexOf(d);
+      return i === -1 ? DIFFICULTY_ORDER.length : i;
+    };
+    return Array.from(difficulties).sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Filter bank templates by objective, difficulty and/or tag (empty filters match all)
+   */
+  filterQuestions(questions, filters = {}) {
+    const { objective, difficulty, tag } = filters;
+    const objectiveSet = objective ? this.index.byObjective.get(objective) || new Set() : null;
+    const difficultySet = difficulty
+      ? this.index.byDifficulty.get(this.normalizeDifficulty(difficulty)) || new Set()
+      : null;
+
+    return questions.filter(q =>
+      (!objectiveSet || objectiveSet.has(q)) &&
+      (!difficultySet || difficultySet.has(q)) &&
+      (!tag || (Array.isArray(q.tags) && q.tags.includes(tag)))
+    );
+  }
+
+  /**
+   * Generate parallel versions (Form A, B, C, ...) of one assessment.
+   * options.count: number of versions; options.shuffle: shuffle question order per version;
+   * options.shuffleChoices: shuffle multiple-choice options per version;
+   * options.rounding: rounding policy overriding every template's own;
+   * options.seed: base seed, each version derives its own stream from it.
+   * Every form, a single one included, draws question i from (seed, label, i), so
+   * Form B of a seed is the same whether two or five forms are printed.
+   * Each question is regenerated until its variables differ from the same question
+   * in earlier forms; since those are always generated first, the retries depend
+   * only on the seed and the form's position, never on the version count.
+   * Questions that cannot differ are listed in version.repeats.
+   */
+  generateVersions(templates, options = {}) {
+    const { count = 1, shuffle = false, shuffleChoices = false, rounding } = options;
+    const seed = options.seed || window.QuestionUtils.generateSeed();
 
-        if (!Number.isNaN(value)) {
-          vars[key] = value;
-          resolved.push(key);
+    const seen = templates.map(() => new Set());
+    const versions = [];
+
+    for (let v = 0; v < Math.max(1, count); v++) {
+      const label = this.getVersionLabel(v);
+      const repeats = [];
+
+      const questions = templates.map((template, index) => {
+        const hasVariables = Object.keys(template.variables || {}).length > 0;
+        let question;
+        let fingerprint;
+
+        for (let attempt = 0; attempt < MAX_VERSION_ATTEMPTS; attempt++) {
+          question = this.generateQuestion(template, {
+            random: window.QuestionUtils.createSeededRandom(seed, label, index, attempt),
+            shuffleChoices,
+            rounding
+          });
+          fingerprint = JSON.stringify(question.variables);
+          if (!hasVariables || !seen[index].has(fingerprint)) break;
         }
-      } catch (err) {
-        // skip
+
+        if (hasVariables && seen[index].has(fingerprint)) {
+          repeats.push(index);
+          console.warn(`Form ${label}: question ${index + 1} (${template.id}) repeats an earlier version`);
+        }
+        seen[index].add(fingerprint);
+
+        return { ...question, sourceIndex: index };
+      });
+
+      if (shuffle) {
+        this.shuffleInPlace(questions, window.QuestionUtils.createSeededRandom(seed, label, "order"));
       }
+
+      versions.push({ label, seed, questions, repeats });
     }
-    formulaKeys = formulaKeys.filter(k => !resolved.includes(k));
-    if (resolved.length === 0 && formulaKeys.length > 0) {
-      console.error(`Unresolved formulas: ${formulaKeys.join(', ')}`);
-      formulaKeys.forEach(k => {
-        vars[k] = NaN;
-        displayVars[k] = "NaN";
-      });
-      break;
+
+    return versions;
+  }
+
+  /**
+   * Version label for a zero-based version index: A, B, ..., Z, AA, AB, ...
+   */
+  getVersionLabel(index) {
+    let label = "";
+    let n = index + 1;
+    while (n > 0) {
+      const rem = (n - 1) % 26;
+      label = String.fromCharCode(65 + rem) + label;
+      n = Math.floor((n - 1) / 26);
     }
-    maxIterations--;
+    return label;
   }
 
-  if (maxIterations <= 0) {
-    console.error('Max iterations reached');
+  /**
+   * Fisher-Yates shuffle driven by the given PRNG
+   */
+  shuffleInPlace(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
   }
 
-  // Build display map for remaining variables
-for (const [key, constraints] of Object.entries(variableDefinitions)) {
-  // Skip if already set (textValue variables set in Pass 1)
-  if (displayVars[key] !== undefined) continue;
+  /**
+   * Generate a question instance from a template. Templates with "parts" get
+   * instance.parts, all resolved from one set of variables.
+   * options.random: PRNG used for variable values (defaults to Math.random);
+   * options.shuffleChoices: shuffle multiple-choice options with the same PRNG;
+   * options.rounding: rounding policy overriding the template's, its variables'
+   * and its course's "rounding" (see QuestionUtils.parseRoundingPolicy)
+   */
+  generateQuestion(template, options = {}) {
+    const variables = window.QuestionUtils.generateQuestionVariables(template, {
+      ...options,
+      rounding: options.rounding || undefined,
+      courseRounding: this.getTemplateCourseSettings(template).rounding
+    });
+    const errors = [...(variables.__errors || [])];
 
-  const numeric = vars[key];
-  if (constraints && constraints.formula) {
-    displayVars[key] = formatNumberForDisplay(numeric, constraints.formula, vars);
-  } else if (constraints && constraints.display === 'math') {
-    displayVars[key] = formatNumberForDisplay(numeric);
-  } else {
-    displayVars[key] = (numeric === undefined) ? '' : String(numeric);
+    const instance = {
+      ...template,
+      variables,
+      questionText: window.QuestionUtils.replaceTemplateVariables(template.question, variables),
+      draw: template.draw || null,
+      errors
+    };
+
+    if (Array.isArray(template.parts)) {
+      const parts = template.parts.map((part, index) =>
+        this.generatePart(template, part, index, variables, options, errors));
+      return { ...instance, parts, answer: this.combinePartAnswers(parts) };
+    }
+
+    return { ...instance, ...this.resolveAnswer(template, variables, options, errors) };
   }
-}
 
-  Object.defineProperty(vars, '__display', {
-    value: displayVars,
-    enumerable: false,
-    configurable: true,
-    writable: true,
-  });
+  /**
+   * Answer fields for a template or part: { answer }, the fields of its item type
+   * (ITEM_TYPE_GENERATORS) or, for multiple choice, { choices, correctChoice, answer }
+   */
+  resolveAnswer(template, variables, options, errors) {
+    const itemType = ITEM_TYPE_GENERATORS[template.type];
+    if (itemType) {
+      return this[itemType](template, variables, options, errors);
+    }
 
-  return vars;
-}
+    return Array.isArray(template.choices) || template.distractors
+      ? this.generateChoices(template, variables, options, errors)
+      : { answer: this.generateAnswer(template, variables, errors) };
+  }
 
-/**
- * Replace {var} with display value if available
- */
-function replaceTemplateVariables(text, variables) {
-  if (!text || !variables) return text;
+  /**
+   * One part of a multi-part template ("parts": [{ question, answer, draw }, ...]).
+   * Parts share the instance's variables; each has its own prompt, answer (answer,
+   * answerExpression, choices or distractors) and optional draw, and is labelled a, b, c, ...
+   */
+  generatePart(template, part, index, variables, options, errors) {
+    const label = this.getPartLabel(index);
+    const partTemplate = { ...part, id: `${template.id} (${label})` };
 
-  const replacements = {};
-  const keys = Object.keys(variables).filter(k => k !== '__display');
+    return {
+      ...part,
+      label,
+      questionText: window.QuestionUtils.replaceTemplateVariables(part.question || "", variables),
+      draw: part.draw || null,
+      ...this.resolveAnswer(partTemplate, variables, options, errors)
+    };
+  }
 
-  for (const key of keys) {
-    const display = variables.__display?.[key];
-    replacements[key] = display !== undefined && display !== '' ? display : String(variables[key]);
+  /**
+   * Letter for a zero-based part index: a, b, c, ...
+   */
+  getPartLabel(index) {
+    return String.fromCharCode(97 + index);
   }
 
-  const sorted = Object.entries(replacements).sort((a, b) => b[0].length - a[0].length);
+  /**
+   * Single answer text for a multi-part instance: "a) ...; b) ..."
+   */
+  combinePartAnswers(parts) {
+    return parts.map(part => `${part.label}) ${part.answer ?? "No answer provided"}`).join("; ");
+  }
+
+  /**
+   * Multiple-choice options for an instance. template.choices are option texts with
+   * placeholders and template.answer is the zero-based index of the correct one;
+   * a "distractors" block builds both instead (see DistractorGenerator).
+   * Options are shuffled when options.shuffleChoices is set, unless the template
+   * pins them with "shuffleChoices": false (e.g. for "all of the above").
+   * Returns { choices: [{ letter, text, correct }], correctChoice, answer }.
+   */
+  generateChoices(template, variables, options, errors) {
+    const generated = template.distractors
+      ? window.DistractorGenerator.generate(template, variables, options.random || Math.random, errors)
+      : null;
+    if (template.distractors && !generated) {
+      return { choices: [], correctChoice: null, answer: null };
+    }
+
+    const texts = generated
+      ? generated.choices
+      : template.choices.map(choice => window.QuestionUtils.replaceTemplateVariables(String(choice), variables));
+    const choices = texts.map(text => ({ text, correct: false }));
+
+    const answerIndex = generated ? generated.answerIndex : Number(template.answer);
+    if (Number.isInteger(answerIndex) && answerIndex >= 0 && answerIndex < choices.length) {
+      choices[answerIndex].correct = true;
+    } else {
+      const message = `answer ${JSON.stringify(template.answer)} is not an index into its ${choices.length} choices`;
+      errors.push({ templateId: template.id, field: "answer", cause: "choices", message });
+      console.warn(`Template ${template.id}: ${message}`);
+    }
+
+    if (options.shuffleChoices && template.shuffleChoices !== false) {
+      this.shuffleInPlace(choices, options.random || Math.random);
+    }
+
+    choices.forEach((choice, i) => {
+      choice.letter = this.getChoiceLetter(i);
+    });
+    const correct = choices.find(choice => choice.correct);
 
-  let result = text;
-  for (const [key, value] of sorted) {
-    const regex = new RegExp(`\\{${escapeRegExp(key)}\\}`, "g");
-    result = result.replace(regex, value);
+    return {
+      choices,
+      correctChoice: correct ? correct.letter : null,
+      answer: correct ? `${correct.letter}) ${correct.text}` : null
+    };
   }
 
-  return result;
-}
+  /**
+   * True/false item: "statements": { "true": [...], "false": [...] } (strings or lists).
+   * A truth value with statements is drawn, then one of its statements.
+   * Returns { statement, truth, answer }.
+   */
+  generateTrueFalse(template, variables, options, errors) {
+    const random = options.random || Math.random;
+    const statements = template.statements || {};
+    const pool = truth => [].concat(statements[truth] ?? []).filter(text => typeof text === "string");
+    const truths = [true, false].filter(truth => pool(String(truth)).length > 0);
+
+    if (truths.length === 0) {
+      this.reportItemError(template, errors, "statements", "needs \"statements\" with true and/or false entries");
+      return { statement: "", truth: null, answer: null };
+    }
 
-function evaluateMathExpression(expression, variables) {
-  try {
-    const numericVars = { ...variables };
-    delete numericVars.__display;
-    const result = evaluateJSExpression(expression, numericVars);
-    const num = typeof result === 'number' ? result : Number(result);
-    if (Number.isNaN(num)) return expression;
-    return formatNumberForDisplay(num);
-  } catch (err) {
-    console.error("Eval error:", err);
-    return "Error";
+    const truth = truths[Math.floor(random() * truths.length)];
+    const candidates = pool(String(truth));
+    const statement = candidates[Math.floor(random() * candidates.length)];
+    return {
+      statement: window.QuestionUtils.replaceTemplateVariables(statement, variables),
+      truth,
+      answer: truth ? "True" : "False"
+    };
   }
-}
 
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  /**
+   * Matching item: "pairs": [{ "prompt": ..., "match": ... }]. Prompts are numbered
+   * and matches lettered, each column shuffled on its own; pairs that render the
+   * same prompt or match text are reported as errors.
+   * Returns { matching: { prompts: [{ number, text }], matches: [{ letter, text }] }, answer: "1–B, 2–A" }.
+   */
+  generateMatching(template, variables, options, errors) {
+    const random = options.random || Math.random;
+    const pairs = (template.pairs || []).map((pair, index) => ({
+      index,
+      prompt: window.QuestionUtils.replaceTemplateVariables(String(pair.prompt ?? ""), variables),
+      match: window.QuestionUtils.replaceTemplateVariables(String(pair.match ?? ""), variables)
+    }));
+
+    if (pairs.length < 2) {
+      this.reportItemError(template, errors, "pairs", "needs at least two \"pairs\"");
+    }
+    // Two equal texts make the key ambiguous; a "where" condition can keep them apart
+    for (const side of ["prompt", "match"]) {
+      const duplicate = pairs.find((pair, i) => pairs.findIndex(other => other[side] === pair[side]) !== i);
+      if (duplicate) {
+        this.reportItemError(template, errors, "pairs", `has two pairs with the ${side} "${duplicate[side]}"`);
+      }
+    }
+
+    const prompts = this.shuffleInPlace([...pairs], random);
+    const matches = this.shuffleInPlace([...pairs], random);
+    const letterOf = index => this.getChoiceLetter(matches.findIndex(pair => pair.index === index));
+
+    return {
+      matching: {
+        prompts: prompts.map((pair, i) => ({ number: i + 1, text: pair.prompt })),
+        matches: matches.map((pair, i) => ({ letter: this.getChoiceLetter(i), text: pair.match }))
+      },
+      answer: prompts.map((pair, i) => `${i + 1}–${letterOf(pair.index)}`).join(", ")
+    };
+  }
+
+  /**
+   * Fill-in-the-blank item: each run of three or more underscores in the question
+   * becomes a numbered answer line, answered in order by "blanks": ["{m}", "{b}"].
+   * Returns { questionText, blanks, answer: "(1) 3; (2) -5" }.
+   */
+  generateFillInBlank(template, variables, options, errors) {
+    const blanks = (template.blanks || []).map(blank =>
+      window.QuestionUtils.replaceTemplateVariables(String(blank), variables, { rounding: variables.__rounding }));
+
+    let count = 0;
+    const questionText = window.QuestionUtils
+      .replaceTemplateVariables(template.question || "", variables)
+      .replace(BLANK_PATTERN, () => `<span class="answer-blank" data-blank="${++count}"></span>`);
+
+    if (count !== blanks.length) {
+      this.reportItemError(template, errors, "blanks", `has ${count} blanks in the question but ${blanks.length} "blanks" answers`);
+    }
+
+    return {
+      questionText,
+      blanks,
+      answer: blanks.map((blank, i) => `(${i + 1}) ${blank}`).join("; ")
+    };
+  }
+
+  /**
+   * Ordering item: "items" are listed in the correct order, or given as
+   * { "text": ..., "value": "expression" } and ordered by value ("order": "descending"
+   * reverses it). Items are shown lettered in shuffled order.
+   * Returns { items: [{ letter, text }], answer: "C, A, B" }.
+   */
+  generateOrdering(template, variables, options, errors) {
+    const random = options.random || Math.random;
+    const items = [];
+
+    for (const [index, item] of (template.items || []).entries()) {
+      const spec = typeof item === "object" && item !== null ? item : { text: item };
+      let value = index;
+      if (spec.value !== undefined) {
+        try {
+          value = Number(window.ExpressionEvaluator.evaluate(String(spec.value), variables));
+        } catch (error) {
+          this.reportItemError(template, errors, "items", `item value "${spec.value}" failed: ${error.message}`);
+        }
+      }
+      items.push({ text: window.QuestionUtils.replaceTemplateVariables(String(spec.text ?? ""), variables), value });
+    }
+
+    const direction = template.order === "descending" ? -1 : 1;
+    const correct = [...items].sort((a, b) => direction * (a.value - b.value));
+
+    // Reshuffle so the items are not already in order
+    let shown = [...items];
+    for (let attempt = 0; attempt < MAX_ORDER_SHUFFLES; attempt++) {
+      this.shuffleInPlace(shown, random);
+      if (items.length < 2 || shown.some((item, i) => item !== correct[i])) break;
+    }
+
+    const letterOf = item => this.getChoiceLetter(shown.indexOf(item));
+    return {
+      items: shown.map((item, i) => ({ letter: this.getChoiceLetter(i), text: item.text })),
+      answer: correct.map(letterOf).join(", ")
+    };
+  }
+
+  reportItemError(template, errors, field, message) {
+    errors.push({ templateId: template.id, field, cause: "item", message: `${template.type} item ${message}` });
+    console.warn(`Template ${template.id}: ${template.type} item ${message}`);
+  }
+
+  /**
+   * Letter for a zero-based choice index: A, B, C, ...
+   */
+  getChoiceLetter(index) {
+    return String.fromCharCode(65 + index);
+  }
+
+  /**
+   * Resolve the answer text for a generated instance.
+   * answerExpression (math.js) is evaluated first; the answer template string is the
+   * fallback when there is no expression or it fails. Failures are pushed onto errors.
+   */
+  generateAnswer(template, variables, errors = []) {
+    if (template.answerExpression) {
+      try {
+        return window.AnswerEvaluator.evaluate(template.answerExpression, variables, {
+          unit: template.answerUnit,
+          rounding: variables.__rounding
+        });
+      } catch (error) {
+        const message = `answerExpression "${template.answerExpression}" failed: ${error.message}`;
+        errors.push({ templateId: template.id, field: "answerExpression", cause: "evaluation", message });
+        console.warn(`Template ${template.id}: ${message}`);
+      }
+    }
+
+    if (typeof template.answer === "string") {
+      return window.QuestionUtils.replaceTemplateVariables(template.answer, variables, { rounding: variables.__rounding });
+    }
+    if (template.answer !== undefined && template.answer !== null) {
+      return template.answer;
+    }
+    return null;
+  }
 }
 
-/* Export */
-window.QuestionUtils = {
-  validateVariableValue,
-  generateVariableValue,
-  generateQuestionVariables,
-  replaceTemplateVariables,
-  evaluateMathExpression,
-};
+window.QuestionGenerator = new QuestionGenerator();
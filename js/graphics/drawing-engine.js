@@ -615,9 +615,9 @@ class DrawingEngine {
     // Labels
     ctx.fillStyle = "#2c3e50";
     ctx.font = "14px Arial";
-    ctx.fillText(`l=${vars.width || 4}`, startX + w/2 - 15, startY + h + 20);
-    ctx.fillText(`w=${vars.depth || 5}`, startX + w + d/2, startY - d - 5);
-    ctx.fillText(`h=${vars.height || 3}`, startX - 25, startY + h/2);
+    ctx.fillText(`l=${this.formatMeasure(vars, "width", 4)}`, startX + w/2 - 15, startY + h + 20);
+    ctx.fillText(`w=${this.formatMeasure(vars, "depth", 5)}`, startX + w + d/2, startY - d - 5);
+    ctx.fillText(`h=${this.formatMeasure(vars, "height", 3)}`, startX - 25, startY + h/2);
   }
 
   /**
@@ -659,8 +659,17 @@ class DrawingEngine {
     // Labels
     ctx.fillStyle = "#2c3e50";
     ctx.font = "14px Arial";
-    ctx.fillText(`r=${vars.radius || 3}`, centerX + r + 10, topY + h/2);
-    ctx.fillText(`h=${vars.height || 5}`, centerX - 30, topY + h/2);
+    ctx.fillText(`r=${this.formatMeasure(vars, "radius", 3)}`, centerX + r + 10, topY + h/2);
+    ctx.fillText(`h=${this.formatMeasure(vars, "height", 5)}`, centerX - 30, topY + h/2);
+  }
+
+  /**
+   * Label text for a dimension, with the variable's unit when it has one (5 cm)
+   */
+  formatMeasure(vars, name, fallback) {
+    const unit = vars.__units && vars.__units[name];
+    const value = vars[name] || fallback;
+    return unit && vars[name] ? `${value} ${unit}` : String(value);
   }
 
   /**
@@ -1085,6 +1094,20 @@ class DrawingEngine {
     }
   }
 
+  /**
+   * Instance variables with an object-form spec's fields on top, keeping the
+   * non-enumerable metadata (__units, __exact, __display) a spread would drop
+   */
+  mergeDrawSpec(vars, spec) {
+    const merged = { ...vars, ...spec };
+    for (const key of Object.getOwnPropertyNames(vars || {})) {
+      if (!Object.prototype.hasOwnProperty.call(merged, key)) {
+        Object.defineProperty(merged, key, Object.getOwnPropertyDescriptor(vars, key));
+      }
+    }
+    return merged;
+  }
+
   /**
    * Main drawing dispatcher
    */
@@ -1095,6 +1118,12 @@ class DrawingEngine {
     if (!canvas.width) canvas.width = this.defaultWidth;
     if (!canvas.height) canvas.height = this.defaultHeight;
 
+    // Object-form draw specs (e.g. { type: "piecewise", segments: [...] })
+    if (typeof drawType === "object") {
+      vars = this.mergeDrawSpec(vars, drawType);
+      drawType = drawType.type;
+    }
+
     switch (drawType) {
       case "linearGraph":
         this.drawLinear(canvas, vars);
@@ -2,6 +2,15 @@
  * UI management and event handling
  */
 
+const ITEM_TYPE_LABELS = {
+  trueFalse: "True/False",
+  matching: "Matching",
+  fillInBlank: "Fill in the blank",
+  ordering: "Ordering"
+};
+
+const MAX_VERSION_COUNT = 6;
+
 class UIManager {
   constructor() {
     this.selectedQuestions = [];
@@ -9,7 +18,15 @@ class UIManager {
     this.customTitle = "SMWYK - Name: ____________";
     this.questionColumns = 1;
     this.questionSpacing = 20;
+    this.assessmentSeed = "";
+    this.assessmentSeedError = "";
+    this.versionCount = 1;
+    this.shuffleQuestions = false;
+    this.shuffleChoices = false;
+    this.choiceLayout = "stacked";
+    this.rounding = "";
     this.currentLoadedQuestions = [];
+    this.latexIssues = new WeakMap();
     this.addAllButtonTop = null;
     this.bindEvents();
   }
@@ -68,6 +85,104 @@ class UIManager {
       // Convert px input to pt for print consistency (1px ≈ 0.75pt)
       this.questionSpacing = Math.round(parseInt(e.target.value) * 0.75);
     });
+
+    document.getElementById("assessmentSeed").addEventListener("input", (e) => {
+      this.setAssessmentSeed(e.target.value);
+    });
+
+    document.getElementById("versionCount").addEventListener("input", (e) => {
+      this.versionCount = Math.min(MAX_VERSION_COUNT, Math.max(1, parseInt(e.target.value) || 1));
+    });
+
+    document.getElementById("shuffleQuestions").addEventListener("change", (e) => {
+      this.shuffleQuestions = e.target.checked;
+    });
+
+    document.getElementById("shuffleChoices").addEventListener("change", (e) => {
+      this.shuffleChoices = e.target.checked;
+    });
+
+    document.getElementById("roundingOverride").addEventListener("change", (e) => {
+      this.rounding = e.target.value;
+    });
+
+    document.querySelectorAll('input[name="choiceLayout"]').forEach(radio => {
+      radio.addEventListener("change", (e) => {
+        this.choiceLayout = e.target.value;
+      });
+    });
+
+    document.getElementById("bankImport").addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) this.importBankFile(file);
+    });
+  }
+
+  /**
+   * Validate and store a teacher's bank file, then refresh the course list
+   */
+  async importBankFile(file) {
+    let result;
+    try {
+      result = window.QuestionGenerator.importQuestionBank(file.name, await file.text());
+    } catch (error) {
+      console.error("Failed to import question bank:", error);
+      result = { imported: false, errors: [error.message], warnings: [], templateCount: 0 };
+    }
+
+    this.showImportResult(file.name, result);
+    if (result.imported) {
+      this.populateCourses();
+      this.renderImportedBanks();
+    }
+  }
+
+  /**
+   * Import outcome with its errors (import refused) or warnings
+   */
+  showImportResult(name, { imported, errors, warnings, templateCount }) {
+    const status = document.getElementById("bankImportStatus");
+    const list = (messages, className) => messages.length > 0
+      ? `<ul class="${className}">${messages.map(message => `<li>${this.escapeHtml(message)}</li>`).join("")}</ul>`
+      : "";
+
+    status.innerHTML = imported
+      ? `<div class="import-success">Imported ${templateCount} templates from ${this.escapeHtml(name)}.</div>${list(warnings, "import-warnings")}`
+      : `<div class="import-error">${this.escapeHtml(name)} was not imported:</div>${list(errors, "import-errors")}`;
+  }
+
+  /**
+   * List the imported banks with a Remove button each
+   */
+  renderImportedBanks() {
+    const container = document.getElementById("importedBanks");
+    container.innerHTML = "";
+
+    window.QuestionGenerator.getImportedBanks().forEach(({ name, templateCount }) => {
+      const entry = document.createElement("span");
+      entry.className = "imported-bank";
+      entry.textContent = `${name} (${templateCount}) `;
+
+      const removeButton = document.createElement("button");
+      removeButton.textContent = "Remove";
+      removeButton.className = "small";
+      removeButton.addEventListener("click", () => {
+        window.QuestionGenerator.removeImportedBank(name);
+        document.getElementById("bankImportStatus").innerHTML = "";
+        this.populateCourses();
+        this.renderImportedBanks();
+      });
+
+      entry.appendChild(removeButton);
+      container.appendChild(entry);
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = String(text);
+    return div.innerHTML;
   }
 
   /**
@@ -78,7 +193,11 @@ class UIManager {
     this.buildChapterCheckboxes(course);
     this.populateObjectives();
     this.populateDifficultyOptions();
+    this.populateTagOptions();
     this.clearQuestionList();
+
+    // The dropdowns come from the bank index; fetch the course's templates meanwhile
+    if (course) window.QuestionGenerator.loadCourse(course);
   }
 
   /**
@@ -146,6 +265,7 @@ class UIManager {
       checkbox.addEventListener("change", () => {
         this.populateObjectives();
         this.populateDifficultyOptions();
+        this.populateTagOptions();
         this.clearQuestionList();
       });
 
@@ -181,8 +301,7 @@ class UIManager {
       return;
     }
 
-    const questions = window.QuestionGenerator.getQuestionsFromChapters(course, chapters);
-    const objectives = window.QuestionGenerator.getObjectives(questions);
+    const objectives = window.QuestionGenerator.getChapterObjectives(course, chapters);
 
     // Add default option
     const defaultOption = document.createElement("option");
@@ -215,13 +334,7 @@ class UIManager {
       return;
     }
 
-    let questions = window.QuestionGenerator.getQuestionsFromChapters(course, chapters);
-    
-    if (objective) {
-      questions = questions.filter(q => q.objective === objective);
-    }
-
-    const difficulties = window.QuestionGenerator.getDifficulties(questions);
+    const difficulties = window.QuestionGenerator.getChapterDifficulties(course, chapters, objective);
 
     // Add default option
     const defaultOption = document.createElement("option");
@@ -239,13 +352,34 @@ class UIManager {
   }
 
   /**
-   * Load and display filtered questions
+   * Populate the tag dropdown; hidden when the selected chapters have no tagged templates
    */
-  loadQuestions() {
+  populateTagOptions() {
+    const tagSelect = document.getElementById("tagSelect");
+    tagSelect.innerHTML = "<option value=''>(any)</option>";
+
+    const course = document.getElementById("courseSelect").value;
+    const chapters = this.getSelectedChapters();
+    const tags = course ? window.QuestionGenerator.getChapterTags(course, chapters) : [];
+
+    tags.forEach(tag => {
+      const option = document.createElement("option");
+      option.value = tag;
+      option.textContent = tag;
+      tagSelect.appendChild(option);
+    });
+    document.getElementById("tagFilter").classList.toggle("hidden", tags.length === 0);
+  }
+
+  /**
+   * Load and display filtered questions, fetching the course's bank files first if needed
+   */
+  async loadQuestions() {
     const course = document.getElementById("courseSelect").value;
     const chapters = this.getSelectedChapters();
     const objective = document.getElementById("objectiveSelect").value;
     const difficulty = document.getElementById("difficultySelect").value;
+    const tag = document.getElementById("tagSelect").value;
 
     const questionList = document.getElementById("questionList");
     questionList.innerHTML = "";
@@ -255,11 +389,21 @@ class UIManager {
       return;
     }
 
+    if (!window.QuestionGenerator.isCourseLoaded(course)) {
+      questionList.innerHTML = "<div class='muted'>Loading questions...</div>";
+      const loaded = await window.QuestionGenerator.loadCourse(course);
+      questionList.innerHTML = "";
+      if (!loaded) {
+        questionList.innerHTML = `<div class='muted'>The questions for ${this.escapeHtml(course)} could not be loaded.</div>`;
+        return;
+      }
+    }
+
     // Get questions
     let questions = window.QuestionGenerator.getQuestionsFromChapters(course, chapters);
     
     // Apply filters
-    questions = window.QuestionGenerator.filterQuestions(questions, { objective, difficulty });
+    questions = window.QuestionGenerator.filterQuestions(questions, { objective, difficulty, tag });
 
     // Store current loaded questions for the Add All button
     this.currentLoadedQuestions = questions;
@@ -297,10 +441,17 @@ class UIManager {
       <div class="muted">
         ${question.objective || 'No objective'} • 
         <span class="difficulty-badge ${difficultyClass}">${question.difficulty || 'basic'}</span>
+        ${this.renderItemTypeBadge(question)}
       </div>
-      <div style="margin-top: 8px;">${question.question || 'No question text'}</div>
+      <div style="margin-top: 8px;">${question.question || (question.parts ? '' : 'No question text')}</div>
+      ${Array.isArray(question.parts)
+        ? `<ol type="a">${question.parts.map(part => `<li>${part.question || ''}</li>`).join("")}</ol>`
+        : ''}
     `;
 
+    const latexBadge = this.createLatexBadge(question);
+    if (latexBadge) info.querySelector(".muted").appendChild(latexBadge);
+
     const controls = document.createElement("div");
     const addButton = document.createElement("button");
     addButton.textContent = "Add";
@@ -400,6 +551,7 @@ class UIManager {
       <div class="muted">
         ${question.objective || 'No objective'} • 
         <span class="difficulty-badge ${difficultyClass}">${question.difficulty || 'basic'}</span>
+        ${this.renderItemTypeBadge(question)}
       </div>
     `;
 
@@ -501,6 +653,10 @@ class UIManager {
       alert("Please add at least one question to the preview before generating.");
       return;
     }
+    if (this.assessmentSeedError) {
+      alert(this.assessmentSeedError);
+      return;
+    }
 
     this.displayFinalAssignment();
     
@@ -520,19 +676,6 @@ class UIManager {
 
     // Scroll to top
     window.scrollTo({ top: 0, behavior: 'smooth' });
-
-    // Draw all graphs in the final assignment
-    const canvases = document.querySelectorAll("#output canvas");
-    canvases.forEach(canvas => {
-      const questionIndex = Array.from(canvases).indexOf(canvas);
-      const question = this.selectedQuestions[questionIndex];
-      if (question && question.draw) {
-        window.DrawingEngine.drawCoordinateGrid(
-          canvas.getContext("2d"), canvas.width, canvas.height
-        );
-        window.DrawingEngine.draw(canvas, question.draw, question.variables);
-      }
-    });
   }
 
   /**
@@ -540,11 +683,13 @@ class UIManager {
    */
   toggleAnswerKey() {
     this.showAnswers = !this.showAnswers;
-    const answersSection = document.querySelector(".answers");
+    const answersSections = document.querySelectorAll("#output .answers");
     const toggleButton = document.getElementById("toggleAnswers");
     
-    if (answersSection) {
-      answersSection.style.display = this.showAnswers ? "block" : "none";
+    if (answersSections.length > 0) {
+      answersSections.forEach(section => {
+        section.style.display = this.showAnswers ? "block" : "none";
+      });
       toggleButton.textContent = this.showAnswers ? "Hide Answer Key" : "Show Answer Key";
     }
   }
@@ -553,10 +698,57 @@ class UIManager {
    * Update the displayed title
    */
   updateDisplayedTitle() {
-    const titleElement = document.getElementById("displayTitle");
-    if (titleElement) {
-      titleElement.textContent = this.customTitle;
+    document.querySelectorAll("#output .display-title").forEach(titleElement => {
+      titleElement.textContent = this.getVersionTitle(titleElement.dataset.versionLabel);
+    });
+  }
+
+  /**
+   * Title for a version; the form label is only added when several versions are printed
+   */
+  getVersionTitle(versionLabel) {
+    return versionLabel ? `${this.customTitle} — Form ${versionLabel}` : this.customTitle;
+  }
+
+  /**
+   * Read the seed box: blank, a seed, or a printed token ("K7Q2M9-3SC") whose
+   * settings are restored. Anything else is refused with a message under the box.
+   */
+  setAssessmentSeed(text) {
+    const token = text.trim() === "" ? { seed: "", settings: null } : window.QuestionUtils.parseSeedToken(text);
+    if (!token) {
+      this.assessmentSeedError = "A seed is letters and digits, optionally followed by the settings printed with it (K7Q2M9-3SC).";
+    } else if (token.settings && (token.settings.count < 1 || token.settings.count > MAX_VERSION_COUNT)) {
+      this.assessmentSeedError = `This seed was printed with ${token.settings.count} versions; at most ${MAX_VERSION_COUNT} can be generated.`;
+    } else {
+      this.assessmentSeedError = "";
+      this.assessmentSeed = token.seed;
+      if (token.settings) this.applySeedSettings(token.settings);
     }
+    document.getElementById("assessmentSeedStatus").textContent = this.assessmentSeedError;
+  }
+
+  /**
+   * Set the version, shuffle and rounding controls from a parsed seed token
+   */
+  applySeedSettings(settings) {
+    this.versionCount = settings.count;
+    this.shuffleQuestions = settings.shuffle;
+    this.shuffleChoices = settings.shuffleChoices;
+    document.getElementById("versionCount").value = this.versionCount;
+    document.getElementById("shuffleQuestions").checked = this.shuffleQuestions;
+    document.getElementById("shuffleChoices").checked = this.shuffleChoices;
+
+    // Select the listed option with the same policy, adding one if none matches
+    const select = document.getElementById("roundingOverride");
+    const code = (rounding) => window.QuestionUtils.formatSeedToken("", { rounding });
+    let option = Array.from(select.options).find(candidate => code(candidate.value) === code(settings.rounding));
+    if (!option) {
+      option = new Option(settings.rounding, settings.rounding);
+      select.appendChild(option);
+    }
+    select.value = option.value;
+    this.rounding = option.value;
   }
 
   /**
@@ -567,16 +759,23 @@ class UIManager {
     output.innerHTML = "";
 
     // Apply layout settings
-    output.className = `columns-${this.questionColumns}`;
     output.style.setProperty('--question-spacing', `${this.questionSpacing}pt`);
 
-    const answers = [];
-
-    // Add custom title
-    const titleDiv = document.createElement("div");
-    titleDiv.className = "assignment-title";
-    titleDiv.innerHTML = `<h2 id="displayTitle">${this.customTitle}</h2>`;
-    output.appendChild(titleDiv);
+    // Generate every version from one seed so the assessment can be rebuilt later
+    const seed = this.assessmentSeed || window.QuestionUtils.generateSeed();
+    const settings = {
+      count: this.versionCount,
+      shuffle: this.shuffleQuestions,
+      shuffleChoices: this.shuffleChoices,
+      rounding: this.rounding || undefined
+    };
+    const versions = window.QuestionGenerator.generateVersions(this.selectedQuestions, { seed, ...settings });
+    this.lastSeedToken = window.QuestionUtils.formatSeedToken(seed, settings);
+
+    const multipleVersions = versions.length > 1;
+    versions.forEach(version => {
+      output.appendChild(this.renderVersion(version, multipleVersions));
+    });
 
     // Re-bind the toggle event after creating the button
     setTimeout(() => {
@@ -588,9 +787,44 @@ class UIManager {
       }
     }, 0);
 
-    this.selectedQuestions.forEach((template, index) => {
-      const question = window.QuestionGenerator.generateQuestion(template);
-      
+    // Add toggle button
+    const controlsDiv = document.createElement("div");
+    controlsDiv.className = "assignment-controls";
+    controlsDiv.innerHTML = `
+      <button id="toggleAnswers" class="toggle-answers-btn">Show Answer Key</button>
+    `;
+    output.appendChild(controlsDiv);
+
+    if (multipleVersions) {
+      output.appendChild(this.renderCombinedAnswerKey(versions));
+    }
+
+    // Reset answer key visibility
+    this.showAnswers = false;
+
+    // Render math
+    if (window.MathJax) {
+      window.MathJax.typesetPromise();
+    }
+  }
+
+  /**
+   * Render one version: title, questions, seed footer and its own answer key
+   */
+  renderVersion(version, showLabel) {
+    const versionLabel = showLabel ? version.label : "";
+    const versionDiv = document.createElement("div");
+    versionDiv.className = `assessment-version columns-${this.questionColumns}`;
+
+    const answers = [];
+
+    // Add custom title
+    const titleDiv = document.createElement("div");
+    titleDiv.className = "assignment-title";
+    titleDiv.innerHTML = `<h2 class="display-title" data-version-label="${versionLabel}">${this.getVersionTitle(versionLabel)}</h2>`;
+    versionDiv.appendChild(titleDiv);
+
+    version.questions.forEach((question, index) => {
       // Create question element
       const questionDiv = document.createElement("div");
       questionDiv.className = "question";
@@ -604,72 +838,238 @@ class UIManager {
           <span class="difficulty-badge ${difficultyClass}" style="margin-left: 8px;">${question.difficulty || 'basic'}</span>
           <span class="question-id" style="margin-left: 8px;">[${question.id || 'No ID'}]</span>
         </div>
-        <div>${question.questionText || 'No question text'}</div>
+        <div>${question.questionText || (question.parts ? '' : 'No question text')}</div>
+        ${this.renderItemBody(question)}
       `;
 
-      output.appendChild(questionDiv);
+      versionDiv.appendChild(questionDiv);
 
       // Draw graph if needed
       if (question.draw) {
-        const canvas = document.createElement("canvas");
-        canvas.width = 420;
-        canvas.height = 240;
-        output.appendChild(canvas);
-        questionDiv.appendChild(canvas);
-        
-        // Always draw a blank grid for students
-        window.DrawingEngine.drawCoordinateGrid(canvas.getContext("2d"), canvas.width, canvas.height);
-
-        // Handle piecewise functions by drawing each segment
-        if (question.draw.type === "piecewise" && Array.isArray(question.draw.segments)) {
-          window.DrawingEngine.draw(canvas, question.draw, question.variables);
-        }
-        
-        // Draw the actual function only if allowed
-        if (question.showGraphInQuestion !== false) {
-          window.DrawingEngine.draw(canvas, question.draw, question.variables);}
+        this.appendQuestionGraph(questionDiv, question, question.variables);
+      }
+
+      // Parts 1a, 1b, ... share the question's variables
+      if (Array.isArray(question.parts)) {
+        question.parts.forEach(part => {
+          const partDiv = document.createElement("div");
+          partDiv.className = "question-part";
+          partDiv.innerHTML = `
+            <div><strong>${index + 1}${part.label})</strong> ${part.questionText}</div>
+            ${this.renderItemBody(part)}
+          `;
+          if (part.draw) {
+            this.appendQuestionGraph(partDiv, part, question.variables);
+          }
+          questionDiv.appendChild(partDiv);
+        });
       }
 
       // Collect answer
-      answers.push(`<strong>${index + 1})</strong> ${question.answer || 'No answer provided'}`);
-      if (question.draw && question.showGraphInAnswer) {
-        const answerCanvas = document.createElement("canvas");
-        answerCanvas.width = 420;
-        answerCanvas.height = 240;
-        answers.push(answerCanvas.outerHTML);
-        // Draw the graph for the answer key
-        window.DrawingEngine.drawCoordinateGrid(
-          answerCanvas.getContext("2d"), answerCanvas.width, answerCanvas.height
-        );
-        window.DrawingEngine.draw(answerCanvas, question.draw, question.variables);
-      } 
+      answers.push({ question, number: index + 1 });
     });
 
+    // Seed footer: entering this token rebuilds the same forms, numbers and key
+    const footerDiv = document.createElement("div");
+    footerDiv.className = "assignment-footer";
+    footerDiv.textContent = versionLabel ? `Seed: ${this.lastSeedToken} · Form ${versionLabel}` : `Seed: ${this.lastSeedToken}`;
+    versionDiv.appendChild(footerDiv);
+
     // Add answer key
     const answerDiv = document.createElement("div");
     answerDiv.className = "answers";
     answerDiv.style.display = "none"; // Hidden by default
-    answerDiv.innerHTML = `
-      <h3>Answer Key</h3>
-      ${answers.map(answer => `<div class="answer">${answer}</div>`).join("")}
+    answerDiv.innerHTML = `<h3>Answer Key${versionLabel ? ` — Form ${versionLabel}` : ""}</h3>`;
+
+    answers.forEach(({ question, number }) => {
+      const answerItem = document.createElement("div");
+      answerItem.className = "answer";
+
+      if (Array.isArray(question.parts)) {
+        answerItem.innerHTML = `<strong>${number})</strong>`;
+        question.parts.forEach(part => {
+          const partDiv = document.createElement("div");
+          partDiv.className = "answer-part";
+          partDiv.innerHTML = `<strong>${number}${part.label})</strong> ${part.answer || 'No answer provided'}`;
+          this.appendAnswerGraph(partDiv, part, question.variables);
+          answerItem.appendChild(partDiv);
+        });
+      } else {
+        answerItem.innerHTML = this.formatAnswerHtml(question, number);
+      }
+
+      // Draw the graph for the answer key
+      this.appendAnswerGraph(answerItem, question, question.variables);
+
+      answerDiv.appendChild(answerItem);
+    });
+
+    versionDiv.appendChild(answerDiv);
+    return versionDiv;
+  }
+
+  /**
+   * Graph for a question or part: always a blank grid for students, with the
+   * function drawn unless showGraphInQuestion is false
+   */
+  appendQuestionGraph(container, item, variables) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 420;
+    canvas.height = 240;
+    container.appendChild(canvas);
+
+    window.DrawingEngine.drawCoordinateGrid(canvas.getContext("2d"), canvas.width, canvas.height);
+
+    // Handle piecewise functions by drawing each segment
+    if (item.draw.type === "piecewise" && Array.isArray(item.draw.segments)) {
+      window.DrawingEngine.draw(canvas, item.draw, variables);
+    }
+
+    // Draw the actual function only if allowed
+    if (item.showGraphInQuestion !== false) {
+      window.DrawingEngine.draw(canvas, item.draw, variables);
+    }
+  }
+
+  /**
+   * Answer key graph for a question or part with showGraphInAnswer
+   */
+  appendAnswerGraph(container, item, variables) {
+    if (!item.draw || !item.showGraphInAnswer) return;
+
+    const answerCanvas = document.createElement("canvas");
+    answerCanvas.width = 420;
+    answerCanvas.height = 240;
+    container.appendChild(answerCanvas);
+    window.DrawingEngine.drawCoordinateGrid(
+      answerCanvas.getContext("2d"), answerCanvas.width, answerCanvas.height
+    );
+    window.DrawingEngine.draw(answerCanvas, item.draw, variables);
+  }
+
+  /**
+   * Answer text for a key cell; multi-part answers get one line per part (1a, 1b, ...)
+   */
+  formatAnswerHtml(question, number) {
+    if (Array.isArray(question.parts)) {
+      return question.parts
+        .map(part => `<strong>${number}${part.label})</strong> ${part.answer || 'No answer provided'}`)
+        .join("<br>");
+    }
+    return `<strong>${number})</strong> ${question.answer || 'No answer provided'}`;
+  }
+
+  /**
+   * Response area below the question text for its item type (choices, true/false,
+   * matching columns or ordering items); fill-in-the-blank lines are already in the text
+   */
+  renderItemBody(item) {
+    return this.renderChoices(item) +
+      this.renderTrueFalse(item) +
+      this.renderMatching(item) +
+      this.renderOrdering(item);
+  }
+
+  renderTrueFalse(item) {
+    if (typeof item.truth !== "boolean") return "";
+    return `
+      <div class="true-false-statement">${item.statement}</div>
+      <div class="true-false"><span>True</span><span>False</span></div>
     `;
+  }
 
-    // Add toggle button
-    const controlsDiv = document.createElement("div");
-    controlsDiv.className = "assignment-controls";
-    controlsDiv.innerHTML = `
-      <button id="toggleAnswers" class="toggle-answers-btn">Show Answer Key</button>
+  /**
+   * Numbered prompts with an answer line each, beside the lettered matches
+   */
+  renderMatching(item) {
+    if (!item.matching) return "";
+
+    const prompts = item.matching.prompts
+      .map(prompt => `<li><span class="answer-blank short"></span> ${prompt.number}. ${prompt.text}</li>`)
+      .join("");
+    const matches = item.matching.matches
+      .map(match => `<li><span class="choice-letter">${match.letter})</span> ${match.text}</li>`)
+      .join("");
+    return `<div class="matching"><ul>${prompts}</ul><ul>${matches}</ul></div>`;
+  }
+
+  renderOrdering(item) {
+    if (!Array.isArray(item.items)) return "";
+
+    const items = item.items
+      .map(entry => `<li><span class="choice-letter">${entry.letter})</span> ${entry.text}</li>`)
+      .join("");
+    return `
+      <ol class="choices choices-inline">${items}</ol>
+      <div class="ordering-answer">Order: <span class="answer-blank"></span></div>
     `;
-    output.appendChild(controlsDiv);
-    output.appendChild(answerDiv);
+  }
 
-    // Reset answer key visibility
-    this.showAnswers = false;
+  /**
+   * Badge naming a template's item type; free response ("template") has none
+   */
+  renderItemTypeBadge(template) {
+    const label = ITEM_TYPE_LABELS[template.type];
+    return label ? `<span class="item-type-badge">${label}</span>` : "";
+  }
 
-    // Render math
-    if (window.MathJax) {
-      window.MathJax.typesetPromise();
+  /**
+   * Warning badge for a template whose sample instances have TeX problems
+   * (LatexValidator); the issues are listed in its tooltip. Returns null when clean.
+   */
+  createLatexBadge(template) {
+    if (!this.latexIssues.has(template)) {
+      this.latexIssues.set(template, window.LatexValidator.validateTemplate(template));
     }
+    const issues = this.latexIssues.get(template);
+    if (issues.length === 0) return null;
+
+    const badge = document.createElement("span");
+    badge.className = "latex-warning-badge";
+    badge.textContent = `⚠ TeX (${issues.length})`;
+    badge.title = issues.map(issue => `${issue.path.join(".")}: ${issue.message}`).join("\n");
+    return badge;
+  }
+
+  /**
+   * Lettered multiple-choice options; the template's "choiceLayout" overrides the layout setting
+   */
+  renderChoices(question) {
+    if (!Array.isArray(question.choices) || question.choices.length === 0) return "";
+
+    const layout = question.choiceLayout || this.choiceLayout;
+    const items = question.choices
+      .map(choice => `<li><span class="choice-letter">${choice.letter})</span> ${choice.text}</li>`)
+      .join("");
+    return `<ol class="choices choices-${layout}">${items}</ol>`;
+  }
+
+  /**
+   * Render one key listing every version side by side, one row per selected question
+   */
+  renderCombinedAnswerKey(versions) {
+    const keyDiv = document.createElement("div");
+    keyDiv.className = "answers combined-key";
+    keyDiv.style.display = "none"; // Hidden by default, toggled with the other keys
+
+    const headerCells = versions.map(version => `<th>Form ${version.label}</th>`).join("");
+    const rows = this.selectedQuestions.map((template, sourceIndex) => {
+      const cells = versions.map(version => {
+        const position = version.questions.findIndex(q => q.sourceIndex === sourceIndex);
+        const question = version.questions[position];
+        return `<td>${this.formatAnswerHtml(question, position + 1)}</td>`;
+      }).join("");
+      return `<tr><td class="question-id">${template.id || 'No ID'}</td>${cells}</tr>`;
+    }).join("");
+
+    keyDiv.innerHTML = `
+      <h3>Answer Key — All Versions (Seed: ${this.lastSeedToken})</h3>
+      <table class="combined-key-table">
+        <thead><tr><th>Question</th>${headerCells}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+    return keyDiv;
   }
 
   /**
@@ -0,0 +1,286 @@
+/**
+ * Answer key evaluation for templates with an answerExpression
+ *
+ * answerExpression uses math.js syntax (see src/data/question_bank_migration_guide.md)
+ * and is evaluated with the instance's variables. The result is rendered as TeX:
+ *   • numbers → integers, fractions or radicals
+ *   • fraction(...) / format(fraction(...)) → \frac{n}{d}
+ *   • simplify(...) and other expression strings → TeX of the expression
+ *   • units (5 meter to cm, width * height with unit variables) → 500~\mathrm{cm},
+ *     120~\mathrm{cm}^{2}; the template's answerUnit converts the result
+ *   • complex numbers (sqrt(-28) / 4) → \frac{1}{2}\sqrt{7}i
+ *   • matrices → bmatrix; one-dimensional results → comma-separated lists
+ *   • objects ({ xIntercept: ..., yIntercept: ... }) → labelled parts
+ * A rounding policy (QuestionUtils.parseRoundingPolicy) rounds real numbers,
+ * fractions and measurements to decimals or significant figures.
+ * NaN and ±Infinity results throw, so the answer key reports them as errors.
+ * math.js is loaded from the CDN as window.math.
+ */
+
+const ANSWER_FORMAT_PRECISION = 10;
+
+class AnswerEvaluator {
+  /**
+   * True when math.js is loaded
+   */
+  isAvailable() {
+    return typeof window.math !== "undefined";
+  }
+
+  /**
+   * Private math.js instance. Its fraction(n, d) also accepts non-integer parts
+   * (fraction(a*c, b*d*e/f)), which bank expressions rely on.
+   */
+  getMath() {
+    if (!this.math) {
+      const math = window.math.create(window.math.all);
+      const fraction = math.fraction;
+      math.import({
+        fraction: math.typed("fraction", {
+          ...fraction.signatures,
+          "number,number": (n, d) =>
+            Number.isInteger(n) && Number.isInteger(d) ? fraction(n, d) : fraction(n / d)
+        })
+      }, { override: true });
+      this.math = math;
+    }
+    return this.math;
+  }
+
+  /**
+   * Evaluate an answerExpression and return answer text (math wrapped in \( \)).
+   * options.unit converts the result to that unit (a template's answerUnit);
+   * options.rounding is a parsed rounding policy.
+   * Throws when math.js is missing or the expression cannot be evaluated.
+   */
+  evaluate(expression, variables = {}, options = {}) {
+    const value = this.convertToUnit(this.evaluateValue(expression, variables), options.unit);
+    return this.toAnswerText(value, options.rounding);
+  }
+
+  /**
+   * Evaluate an answerExpression and return the raw math.js value
+   */
+  evaluateValue(expression, variables = {}) {
+    if (!this.isAvailable()) {
+      throw new Error("math.js is not loaded");
+    }
+
+    const math = this.getMath();
+    let result = math.evaluate(String(expression), this.createScope(variables));
+    if (math.typeOf(result) === "ResultSet") {
+      result = result.entries[result.entries.length - 1];
+    }
+    if (result === undefined) {
+      throw new Error(`"${expression}" did not produce a value`);
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate an answerExpression to a plain number (units in their own unit);
+   * NaN for results that are not real numbers
+   */
+  evaluateNumber(expression, variables = {}) {
+    const math = this.getMath();
+    const value = this.evaluateValue(expression, variables);
+    if (math.isUnit(value)) return value.toNumber();
+    return typeof value === "number" || math.isFraction(value) || math.isBigNumber(value) ? Number(value) : NaN;
+  }
+
+  /**
+   * math.js scope from the instance's variables (own numeric and text values only).
+   * Variables declared with a "unit" enter the scope as math.js units.
+   */
+  createScope(variables) {
+    const scope = {};
+    const units = (variables && variables.__units) || {};
+    for (const [name, value] of Object.entries(variables || {})) {
+      if (typeof value === "number" && units[name]) {
+        scope[name] = this.getMath().unit(value, units[name]);
+      } else if (typeof value === "number" || typeof value === "string") {
+        scope[name] = value;
+      }
+    }
+    return scope;
+  }
+
+  /**
+   * Express a result in the given unit; plain numbers are taken to be in that unit
+   */
+  convertToUnit(value, unit) {
+    if (!unit) return value;
+
+    const math = this.getMath();
+    if (math.isUnit(value)) return value.to(unit);
+    if (typeof value === "number" || math.isFraction(value) || math.isBigNumber(value)) {
+      return math.unit(Number(value), unit);
+    }
+    throw new Error(`a ${math.typeOf(value)} result cannot be expressed in ${unit}`);
+  }
+
+  /**
+   * Render an evaluated value as answer key text
+   */
+  toAnswerText(value, rounding = null) {
+    if (this.isPlainObject(value)) {
+      return Object.entries(value)
+        .map(([key, part]) => `${this.formatLabel(key)}: ${this.toAnswerText(part, rounding)}`)
+        .join("; ");
+    }
+
+    if (typeof value === "string" && !this.isMathString(value)) {
+      return value;
+    }
+
+    return `\\( ${this.toTex(value, rounding)} \\)`;
+  }
+
+  /**
+   * TeX (without delimiters) for a math.js value
+   */
+  toTex(value, rounding = null) {
+    const math = this.getMath();
+
+    if (typeof value === "number") return this.formatNumber(value, rounding);
+    if (typeof value === "boolean") return `\\text{${value}}`;
+    if (typeof value === "string") return this.stringToTex(value);
+    if (math.isFraction(value)) {
+      return this.hasRoundingDigits(rounding)
+        ? this.formatNumber(value.valueOf(), rounding)
+        : this.fractionToTex(Number(value.s * value.n), Number(value.d));
+    }
+    if (math.isBigNumber(value)) return this.formatNumber(value.toNumber(), rounding);
+    if (math.isComplex(value)) return this.complexToTex(value.re, value.im, rounding);
+    if (math.isUnit(value)) return this.unitToTex(value, rounding);
+    if (math.isNode(value)) return value.toTex();
+    if (math.isMatrix(value) || Array.isArray(value)) {
+      return this.matrixToTex(math.isMatrix(value) ? value.toArray() : value, rounding);
+    }
+
+    // Units and anything else math.js can print
+    return this.stringToTex(math.format(value, { precision: ANSWER_FORMAT_PRECISION }));
+  }
+
+  assertFinite(num) {
+    if (!isFinite(num)) throw new Error(`the result is ${num} (division by zero or an undefined value?)`);
+  }
+
+  hasRoundingDigits(rounding) {
+    return Boolean(rounding) && (rounding.decimals !== undefined || rounding.sigFigs !== undefined);
+  }
+
+  /**
+   * Number TeX; NaN and ±Infinity throw so the answer is reported instead of printed
+   */
+  formatNumber(num, rounding = null) {
+    this.assertFinite(num);
+    return window.QuestionUtils.formatValueForDisplay(num, rounding).replace(/\\\(|\\\)/g, "").trim();
+  }
+
+  /**
+   * Measurement with its unit: 120~\mathrm{cm}^{3}, 9.8~\mathrm{m}/\mathrm{s}^{2}.
+   * The number stays a decimal rather than a fraction.
+   */
+  unitToTex(value, rounding = null) {
+    // Combine like units (cm cm cm → cm^3) unless the result came from an explicit "to"
+    const unit = value.skipAutomaticSimplification ? value : value.simplify();
+    const units = unit.formatUnits();
+    const unitTex = window.QuestionUtils.formatUnitTex(units);
+    if (unit.value === null) return unitTex;
+
+    const number = Number(unit.toNumber(units).toPrecision(ANSWER_FORMAT_PRECISION));
+    this.assertFinite(number);
+    const [mantissa, exponent] = String(number).split("e");
+    const numberTex = this.hasRoundingDigits(rounding)
+      ? this.formatNumber(number, { ...rounding, exact: false })
+      : exponent ? `${mantissa} \\times 10^{${Number(exponent)}}` : mantissa;
+    return unitTex ? `${numberTex}~${unitTex}` : numberTex;
+  }
+
+  /**
+   * a + bi with each part formatted like a number: 3 - 2i, -\frac{1}{2} + \frac{1}{2}\sqrt{7}i
+   */
+  complexToTex(re, im, rounding = null) {
+    if (im === 0) return this.formatNumber(re, rounding);
+    const magnitude = Math.abs(im) === 1 ? "i" : `${this.formatNumber(Math.abs(im), rounding)}i`;
+    if (re === 0) return im < 0 ? `-${magnitude}` : magnitude;
+    return `${this.formatNumber(re, rounding)} ${im < 0 ? "-" : "+"} ${magnitude}`;
+  }
+
+  fractionToTex(n, d) {
+    if (d === 1) return String(n);
+    const sign = n < 0 ? "-" : "";
+    return `${sign}\\frac{${Math.abs(n)}}{${d}}`;
+  }
+
+  /**
+   * One-dimensional results become a list, two-dimensional ones a bmatrix
+   */
+  matrixToTex(rows, rounding = null) {
+    if (!rows.some(Array.isArray)) {
+      return rows.map(item => this.toTex(item, rounding)).join(", ");
+    }
+
+    const body = rows
+      .map(row => (Array.isArray(row) ? row : [row]).map(item => this.toTex(item, rounding)).join(" & "))
+      .join(" \\\\ ");
+    return `\\begin{bmatrix} ${body} \\end{bmatrix}`;
+  }
+
+  /**
+   * Strings returned by format()/simplify() are parsed back and rendered as TeX
+   */
+  stringToTex(text) {
+    const fraction = text.trim().match(/^(-?)(\d+)\s*\/\s*(\d+)$/);
+    if (fraction) {
+      return this.fractionToTex(Number(fraction[1] + fraction[2]), Number(fraction[3]));
+    }
+
+    try {
+      return this.getMath().parse(text).toTex({ parenthesis: "auto" });
+    } catch (error) {
+      return `\\text{${text}}`;
+    }
+  }
+
+  /**
+   * True when a string result is math (an expression, unit or fraction) rather than prose:
+   * every multi-letter name must be a function call or a unit.
+   */
+  isMathString(text) {
+    let node;
+    try {
+      node = this.getMath().parse(text);
+    } catch (error) {
+      return false;
+    }
+
+    const functionNames = new Set(
+      node.filter(n => n.isFunctionNode).map(n => n.fn && n.fn.name)
+    );
+    return node
+      .filter(n => n.isSymbolNode)
+      .every(n =>
+        n.name.length === 1 ||
+        functionNames.has(n.name) ||
+        this.getMath().Unit.isValuelessUnit(n.name)
+      );
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+  }
+
+  /**
+   * Readable label for an object key: xIntercept → x-intercept, pointSlope → point slope
+   */
+  formatLabel(key) {
+    return key
+      .replace(/^([a-z])(?=[A-Z])/, "$1-")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase();
+  }
+}
+
+window.AnswerEvaluator = new AnswerEvaluator();
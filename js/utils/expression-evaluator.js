@@ -0,0 +1,607 @@
+/**
+ * Sandboxed evaluator for the expression language used in question bank strings
+ *
+ * Supported:
+ * - Numbers, 'single' or "double" quoted strings, true/false
+ * - Variables (looked up in the variables object, never in globals)
+ * - Arithmetic + - * / %, powers with ^ or ** (right-associative)
+ * - Comparisons < <= > >= == != === !==, logic && || !, ternary a ? b : c
+ * - Helper functions (sqrt, abs, round, ...), Math.<function> and Math.<constant>
+ * - Tests for conditions: isInteger(x) (within 1e-9) and isPerfectSquare(n)
+ * - Number methods toFixed, toPrecision and toString
+ *
+ * Anything else (assignment, object literals, arrow functions, brackets, globals
+ * such as window or Math.random) is rejected with an ExpressionError. Expressions
+ * are parsed once into closures and cached.
+ *
+ * evaluateExact() runs the same expression over MathUtils.Rational values, so
+ * (a*d + b*c)/(b*d) stays an exact fraction and sqrt(b^2 - 4*a*c) an exact
+ * MathUtils.Surd; other irrational steps fall back to numbers.
+ * frac(n, d), idiv(a, b) and mixed(w, n, d) build fractions, integer quotients
+ * and mixed numbers in either mode. In exact mode sqrt of a negative and
+ * complex(re, im) give a MathUtils.Complex, and re(z)/im(z) take its parts; plain
+ * evaluation has no complex numbers (complex(re, im) is NaN unless im is 0).
+ * convert(value, "ft", "in") converts between math.js units in either mode.
+ */
+
+const EXPRESSION_HELPERS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, sin: Math.sin, cos: Math.cos, tan: Math.tan,
+  asin: Math.asin, acos: Math.acos, atan: Math.atan, atan2: Math.atan2,
+  abs: Math.abs, sign: Math.sign, pow: Math.pow, log: Math.log, ln: Math.log,
+  log10: Math.log10, log2: Math.log2, exp: Math.exp, min: Math.min, max: Math.max,
+  round: Math.round, floor: Math.floor, ceil: Math.ceil, trunc: Math.trunc, hypot: Math.hypot,
+  frac: (n, d) => n / d,
+  idiv: (a, b) => Math.floor(a / b),
+  mixed: (whole, n, d) => (whole < 0 ? whole - n / d : whole + n / d),
+  complex: (re, im) => (im === 0 ? re : NaN),
+  re: (z) => z,
+  im: () => 0,
+  convert: (value, from, to) => convertUnitValue(value, from, to),
+  isInteger: (x) => isNearInteger(x),
+  isPerfectSquare: (n) => isNearInteger(n) && n >= 0 && Math.round(Math.sqrt(Math.round(n))) ** 2 === Math.round(n),
+  PI: Math.PI, E: Math.E,
+};
+
+const INTEGER_TOLERANCE = 1e-9;
+
+function isNearInteger(x) {
+  return typeof x === "number" && isFinite(x) && Math.abs(x - Math.round(x)) < INTEGER_TOLERANCE;
+}
+
+// Math members reachable as Math.<name>; Math.random is deliberately absent (seeded generation)
+const EXPRESSION_MATH_MEMBERS = new Set([
+  "sqrt", "cbrt", "sin", "cos", "tan", "asin", "acos", "atan", "atan2",
+  "sinh", "cosh", "tanh", "abs", "sign", "pow", "log", "log10", "log2", "exp",
+  "min", "max", "round", "floor", "ceil", "trunc", "hypot",
+  "PI", "E", "LN2", "LN10", "LOG2E", "LOG10E", "SQRT2", "SQRT1_2",
+]);
+
+const EXPRESSION_METHODS = new Set(["toFixed", "toPrecision", "toString"]);
+
+const EXPRESSION_LITERALS = { true: true, false: false };
+
+const MAX_CACHED_EXPRESSIONS = 1000;
+
+/**
+ * A number in one unit expressed in another, using math.js units
+ */
+function convertUnitValue(value, from, to) {
+  if (typeof window.math === "undefined") {
+    throw new Error("convert() needs math.js");
+  }
+  return window.math.unit(Number(value), String(from)).toNumber(String(to));
+}
+
+class ExpressionError extends Error {
+  constructor(message, expression, position = null) {
+    const where = position === null ? "" : ` at position ${position}`;
+    super(`${message}${where} in "${expression}"`);
+    this.name = "ExpressionError";
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+class ExpressionEvaluator {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Evaluate an expression against a variables object
+   */
+  evaluate(expression, variables = {}) {
+    return this.compile(expression).evaluate(variables);
+  }
+
+  /**
+   * Evaluate with exact arithmetic; integer and fraction results come back as
+   * MathUtils.Rational, square-root results as MathUtils.Surd (MathUtils.Complex for
+   * negatives), anything else as a plain value
+   */
+  evaluateExact(expression, variables = {}) {
+    return this.compile(expression).evaluateExact(variables);
+  }
+
+  /**
+   * Parse an expression once; returns { evaluate(variables), evaluateExact(variables), identifiers }
+   */
+  compile(expression) {
+    const source = String(expression);
+    if (this.cache.has(source)) return this.cache.get(source);
+
+    const parser = new ExpressionParser(source);
+    const ast = parser.parse();
+    const identifiers = new Set();
+    const run = this.compileNode(ast, source, identifiers, NUMBER_ARITHMETIC);
+    const runExact = this.compileNode(ast, source, new Set(), EXACT_ARITHMETIC);
+
+    const compiled = {
+      identifiers: Array.from(identifiers),
+      evaluate: (variables = {}) => run(variables || {}),
+      evaluateExact: (variables = {}) => runExact(toExactVariables(variables || {}))
+    };
+
+    if (this.cache.size >= MAX_CACHED_EXPRESSIONS) this.cache.clear();
+    this.cache.set(source, compiled);
+    return compiled;
+  }
+
+  /**
+   * Free names an expression reads (variables and helpers, not Math members or methods)
+   */
+  getIdentifiers(expression) {
+    return this.compile(expression).identifiers;
+  }
+
+  /**
+   * True when a name resolves without a variable (helper function or constant)
+   */
+  isKnownName(name) {
+    return name === "Math" ||
+      Object.prototype.hasOwnProperty.call(EXPRESSION_HELPERS, name) ||
+      Object.prototype.hasOwnProperty.call(EXPRESSION_LITERALS, name);
+  }
+
+  /**
+   * Check an expression without evaluating it; returns null or the error message
+   */
+  validate(expression) {
+    try {
+      this.compile(expression);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  compileNode(node, source, identifiers, arithmetic) {
+    switch (node.type) {
+      case "literal": {
+        const value = arithmetic.literal(node.value);
+        return () => value;
+      }
+
+      case "name": {
+        const name = node.name;
+        identifiers.add(name);
+        return (vars) => {
+          if (Object.prototype.hasOwnProperty.call(vars, name)) return vars[name];
+          if (Object.prototype.hasOwnProperty.call(arithmetic.helpers, name)) return arithmetic.helpers[name];
+          throw new ExpressionError(`Unknown variable "${name}"`, source, node.position);
+        };
+      }
+
+      case "math": {
+        // Math.sqrt and friends share the mode's helpers, so they stay exact in evaluateExact
+        const value = Object.prototype.hasOwnProperty.call(arithmetic.helpers, node.member)
+          ? arithmetic.helpers[node.member]
+          : Math[node.member];
+        return () => value;
+      }
+
+      case "unary": {
+        const operand = this.compileNode(node.operand, source, identifiers, arithmetic);
+        if (node.operator === "-") return (vars) => arithmetic.negate(operand(vars));
+        if (node.operator === "+") return (vars) => arithmetic.plus(operand(vars));
+        return (vars) => !arithmetic.truthy(operand(vars));
+      }
+
+      case "binary": {
+        const left = this.compileNode(node.left, source, identifiers, arithmetic);
+        const right = this.compileNode(node.right, source, identifiers, arithmetic);
+        const op = arithmetic.operators[node.operator];
+        return (vars) => op(left(vars), right(vars));
+      }
+
+      case "logical": {
+        const left = this.compileNode(node.left, source, identifiers, arithmetic);
+        const right = this.compileNode(node.right, source, identifiers, arithmetic);
+        if (node.operator === "&&") {
+          return (vars) => {
+            const value = left(vars);
+            return arithmetic.truthy(value) ? right(vars) : value;
+          };
+        }
+        return (vars) => {
+          const value = left(vars);
+          return arithmetic.truthy(value) ? value : right(vars);
+        };
+      }
+
+      case "conditional": {
+        const test = this.compileNode(node.test, source, identifiers, arithmetic);
+        const consequent = this.compileNode(node.consequent, source, identifiers, arithmetic);
+        const alternate = this.compileNode(node.alternate, source, identifiers, arithmetic);
+        return (vars) => (arithmetic.truthy(test(vars)) ? consequent(vars) : alternate(vars));
+      }
+
+      case "call": {
+        const callee = this.compileNode(node.callee, source, identifiers, arithmetic);
+        const args = node.args.map(arg => this.compileNode(arg, source, identifiers, arithmetic));
+        const label = node.callee.type === "math" ? `Math.${node.callee.member}` : node.callee.name;
+        return (vars) => {
+          const fn = callee(vars);
+          if (typeof fn !== "function") {
+            throw new ExpressionError(`"${label}" is not a function`, source, node.position);
+          }
+          return fn(...args.map(arg => arg(vars)));
+        };
+      }
+
+      case "method": {
+        const target = this.compileNode(node.target, source, identifiers, arithmetic);
+        const args = node.args.map(arg => this.compileNode(arg, source, identifiers, arithmetic));
+        const method = node.method;
+        return (vars) => {
+          const value = arithmetic.toNumber(target(vars));
+          if (typeof value !== "number") {
+            throw new ExpressionError(`.${method}() needs a number, got ${typeof value}`, source, node.position);
+          }
+          return Number.prototype[method].apply(value, args.map(arg => arg(vars)));
+        };
+      }
+
+      default:
+        throw new ExpressionError(`Unsupported syntax "${node.type}"`, source, node.position);
+    }
+  }
+}
+
+const BINARY_OPERATORS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+  "^": (a, b) => Math.pow(a, b),
+  "**": (a, b) => Math.pow(a, b),
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "===": (a, b) => a === b,
+  "!==": (a, b) => a !== b,
+};
+
+/**
+ * Plain JavaScript number semantics
+ */
+const NUMBER_ARITHMETIC = {
+  literal: (value) => value,
+  negate: (a) => -a,
+  plus: (a) => +a,
+  truthy: (a) => Boolean(a),
+  toNumber: (a) => a,
+  operators: BINARY_OPERATORS,
+  helpers: EXPRESSION_HELPERS,
+};
+
+const isExactOperand = (value) => typeof value === "number" || window.MathUtils.isExact(value);
+const toPlainValue = (value) => (window.MathUtils.isExact(value) ? value.toNumber() : value);
+
+/**
+ * Exact binary operator: exact arithmetic for numeric operands, plain JS otherwise
+ */
+function exactOperator(exact, plain) {
+  return (a, b) => (isExactOperand(a) && isExactOperand(b)
+    ? exact(a, b)
+    : plain(toPlainValue(a), toPlainValue(b)));
+}
+
+/**
+ * Exact helper: exact result when every argument is exact and the result exists
+ */
+function exactHelper(exact, plain) {
+  return (...args) => window.MathUtils.exactOrFloat(args, exact, plain);
+}
+
+function exactComparison(test, plain) {
+  return exactOperator((a, b) => test(window.MathUtils.exactArithmetic.compare(a, b)), plain);
+}
+
+const EXACT_BINARY_OPERATORS = {
+  "+": exactOperator((a, b) => window.MathUtils.exactArithmetic.add(a, b), BINARY_OPERATORS["+"]),
+  "-": exactOperator((a, b) => window.MathUtils.exactArithmetic.subtract(a, b), BINARY_OPERATORS["-"]),
+  "*": exactOperator((a, b) => window.MathUtils.exactArithmetic.multiply(a, b), BINARY_OPERATORS["*"]),
+  "/": exactOperator((a, b) => window.MathUtils.exactArithmetic.divide(a, b), BINARY_OPERATORS["/"]),
+  "%": exactOperator((a, b) => window.MathUtils.exactArithmetic.modulo(a, b), BINARY_OPERATORS["%"]),
+  "^": exactOperator((a, b) => window.MathUtils.exactArithmetic.power(a, b), BINARY_OPERATORS["^"]),
+  "**": exactOperator((a, b) => window.MathUtils.exactArithmetic.power(a, b), BINARY_OPERATORS["**"]),
+  "<": exactComparison(c => c < 0, BINARY_OPERATORS["<"]),
+  "<=": exactComparison(c => c <= 0, BINARY_OPERATORS["<="]),
+  ">": exactComparison(c => c > 0, BINARY_OPERATORS[">"]),
+  ">=": exactComparison(c => c >= 0, BINARY_OPERATORS[">="]),
+  "==": exactComparison(c => c === 0, BINARY_OPERATORS["=="]),
+  "!=": exactComparison(c => c !== 0, BINARY_OPERATORS["!="]),
+  "===": exactComparison(c => c === 0, BINARY_OPERATORS["==="]),
+  "!==": exactComparison(c => c !== 0, BINARY_OPERATORS["!=="]),
+};
+
+const EXACT_HELPERS = {
+  ...EXPRESSION_HELPERS,
+  abs: exactHelper(a => a.abs(), Math.abs),
+  sign: exactHelper(a => a.sign(), Math.sign),
+  floor: exactHelper(a => a.floor(), Math.floor),
+  ceil: exactHelper(a => a.ceil(), Math.ceil),
+  round: exactHelper(a => a.round(), Math.round),
+  trunc: exactHelper(a => a.trunc(), Math.trunc),
+  sqrt: (a) => (isExactOperand(a) ? window.MathUtils.exactArithmetic.sqrt(a) : Math.sqrt(a)),
+  pow: (a, b) => EXACT_BINARY_OPERATORS["^"](a, b),
+  min: exactHelper((...args) => args.reduce((m, x) => (x.compare(m) < 0 ? x : m)), Math.min),
+  max: exactHelper((...args) => args.reduce((m, x) => (x.compare(m) > 0 ? x : m)), Math.max),
+  frac: exactHelper((n, d) => n.divide(d), EXPRESSION_HELPERS.frac),
+  idiv: exactHelper((a, b) => a.divide(b).floor(), EXPRESSION_HELPERS.idiv),
+  mixed: exactHelper((whole, n, d) => (whole.sign() < 0 ? whole.subtract(n.divide(d)) : whole.add(n.divide(d))),
+    EXPRESSION_HELPERS.mixed),
+  complex: exactHelper((re, im) => {
+    const { add, multiply } = window.MathUtils.exactArithmetic;
+    return add(re, multiply(im, new window.MathUtils.Complex(0, 1)));
+  }, EXPRESSION_HELPERS.complex),
+  re: exactHelper(z => (window.MathUtils.isComplex(z) ? z.re : z), EXPRESSION_HELPERS.re),
+  im: exactHelper(z => (window.MathUtils.isComplex(z) ? z.im : new window.MathUtils.Rational(0, 1)),
+    EXPRESSION_HELPERS.im),
+  isInteger: (a) => EXPRESSION_HELPERS.isInteger(toPlainValue(a)),
+  isPerfectSquare: (a) => EXPRESSION_HELPERS.isPerfectSquare(toPlainValue(a)),
+};
+
+/**
+ * Exact semantics (MathUtils.Rational and MathUtils.Surd), used by evaluateExact
+ */
+const EXACT_ARITHMETIC = {
+  literal: (value) => (typeof value === "number" ? window.MathUtils.Rational.from(value) || value : value),
+  negate: (a) => (isExactOperand(a) ? window.MathUtils.exactArithmetic.negate(a) : -a),
+  plus: (a) => (isExactOperand(a) ? a : +a),
+  truthy: (a) => (window.MathUtils.isExact(a) ? !a.isZero() : Boolean(a)),
+  toNumber: toPlainValue,
+  operators: EXACT_BINARY_OPERATORS,
+  helpers: EXACT_HELPERS,
+};
+
+/**
+ * Variables for exact evaluation: integers and terminating decimals become Rationals
+ */
+function toExactVariables(variables) {
+  const exact = {};
+  for (const [name, value] of Object.entries(variables)) {
+    exact[name] = typeof value === "number" ? window.MathUtils.Rational.from(value) || value : value;
+  }
+  return exact;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ */
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = this.tokenize(source);
+    this.pos = 0;
+  }
+
+  tokenize(source) {
+    const tokens = [];
+    const operators = ["===", "!==", "**", "<=", ">=", "==", "!=", "&&", "||",
+      "+", "-", "*", "/", "%", "^", "<", ">", "!", "?", ":", "(", ")", ",", "."];
+    let i = 0;
+
+    while (i < source.length) {
+      const ch = source[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      const number = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      if (number) {
+        tokens.push({ type: "number", value: Number(number[0]), position: i });
+        i += number[0].length;
+        continue;
+      }
+
+      if (ch === "'" || ch === '"') {
+        const start = i;
+        let value = "";
+        i++;
+        while (i < source.length && source[i] !== ch) {
+          // Only \' \" and \\ are escapes; other backslashes stay (TeX such as '\infty')
+          if (source[i] === "\\" && (source[i + 1] === ch || source[i + 1] === "\\")) {
+            i++;
+          }
+          value += source[i];
+          i++;
+        }
+        if (i >= source.length) throw new ExpressionError("Unterminated string", source, start);
+        i++;
+        tokens.push({ type: "string", value, position: start });
+        continue;
+      }
+
+      const name = /^[A-Za-z_$][\w$]*/.exec(source.slice(i));
+      if (name) {
+        tokens.push({ type: "name", value: name[0], position: i });
+        i += name[0].length;
+        continue;
+      }
+
+      const operator = operators.find(op => source.startsWith(op, i));
+      if (operator) {
+        tokens.push({ type: "operator", value: operator, position: i });
+        i += operator.length;
+        continue;
+      }
+
+      throw new ExpressionError(`Unexpected character "${ch}"`, source, i);
+    }
+
+    tokens.push({ type: "end", value: null, position: source.length });
+    return tokens;
+  }
+
+  parse() {
+    if (this.peek().type === "end") {
+      throw new ExpressionError("Empty expression", this.source, 0);
+    }
+    const node = this.parseConditional();
+    if (this.peek().type !== "end") {
+      this.fail(`Unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  isOperator(...values) {
+    const token = this.peek();
+    return token.type === "operator" && values.includes(token.value);
+  }
+
+  expect(value) {
+    if (!this.isOperator(value)) {
+      const token = this.peek();
+      this.fail(`Expected "${value}" but found ${token.type === "end" ? "end of expression" : `"${token.value}"`}`);
+    }
+    return this.next();
+  }
+
+  fail(message, token = this.peek()) {
+    throw new ExpressionError(message, this.source, token.position);
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.isOperator("?")) return test;
+
+    const { position } = this.next();
+    const consequent = this.parseConditional();
+    this.expect(":");
+    const alternate = this.parseConditional();
+    return { type: "conditional", test, consequent, alternate, position };
+  }
+
+  parseBinary(level) {
+    const levels = [
+      ["||"],
+      ["&&"],
+      ["==", "!=", "===", "!=="],
+      ["<", "<=", ">", ">="],
+      ["+", "-"],
+      ["*", "/", "%"]
+    ];
+    if (level >= levels.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    while (this.isOperator(...levels[level])) {
+      const { value: operator, position } = this.next();
+      const right = this.parseBinary(level + 1);
+      const type = operator === "&&" || operator === "||" ? "logical" : "binary";
+      left = { type, operator, left, right, position };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator("-", "+", "!")) {
+      const { value: operator, position } = this.next();
+      return { type: "unary", operator, operand: this.parseUnary(), position };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePostfix();
+    if (!this.isOperator("^", "**")) return base;
+
+    const { value: operator, position } = this.next();
+    // Right-associative, and the exponent may carry its own sign: 2^-x
+    const exponent = this.parseUnary();
+    return { type: "binary", operator, left: base, right: exponent, position };
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (this.isOperator(".", "(")) {
+      const token = this.next();
+
+      if (token.value === "(") {
+        if (node.type !== "name" && node.type !== "math") {
+          this.fail("Only helper functions can be called", token);
+        }
+        node = { type: "call", callee: node, args: this.parseArguments(), position: token.position };
+        continue;
+      }
+
+      const member = this.next();
+      if (member.type !== "name") this.fail('Expected a name after "."', member);
+
+      if (node.type === "name" && node.name === "Math") {
+        if (!EXPRESSION_MATH_MEMBERS.has(member.value)) {
+          this.fail(`Math.${member.value} is not allowed`, member);
+        }
+        node = { type: "math", member: member.value, position: member.position };
+      } else if (EXPRESSION_METHODS.has(member.value) && this.isOperator("(")) {
+        this.next();
+        node = { type: "method", target: node, method: member.value, args: this.parseArguments(), position: member.position };
+      } else {
+        this.fail(`Property access ".${member.value}" is not allowed`, member);
+      }
+    }
+
+    if (node.type === "name" && node.name === "Math") {
+      this.fail('"Math" must be followed by a member such as Math.sqrt');
+    }
+    return node;
+  }
+
+  parseArguments() {
+    const args = [];
+    if (this.isOperator(")")) {
+      this.next();
+      return args;
+    }
+    do {
+      args.push(this.parseConditional());
+    } while (this.isOperator(",") && this.next());
+    this.expect(")");
+    return args;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value, position: token.position };
+    }
+
+    if (token.type === "name") {
+      if (Object.prototype.hasOwnProperty.call(EXPRESSION_LITERALS, token.value)) {
+        return { type: "literal", value: EXPRESSION_LITERALS[token.value], position: token.position };
+      }
+      return { type: "name", name: token.value, position: token.position };
+    }
+
+    if (token.type === "operator" && token.value === "(") {
+      const node = this.parseConditional();
+      this.expect(")");
+      return node;
+    }
+
+    if (token.type === "end") {
+      this.fail("Unexpected end of expression", token);
+    }
+    this.fail(`Unexpected "${token.value}"`, token);
+  }
+}
+
+window.ExpressionEvaluator = new ExpressionEvaluator();
+window.ExpressionError = ExpressionError;
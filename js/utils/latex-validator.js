@@ -0,0 +1,289 @@
+/**
+ * TeX checks for generated question and answer text, without MathJax
+ *
+ * Text is HTML with inline \( ... \) and display \[ ... \] or $$ ... $$ math
+ * (MathJax's default delimiters). validate(text) reports:
+ *   • delimiters: \( never closed, \) without \(, math opened inside math
+ *   • braces: { never closed or } without { inside math; \left without \right,
+ *     \begin{env} without \end{env}
+ * as errors, and as warnings:
+ *   • macros outside KNOWN_TEX_MACROS (\fracc, \sqr); the list covers what the
+ *     bank uses and the common LaTeX/AMS commands, not all of MathJax
+ *   • math commands outside math mode (\frac printed as-is)
+ * validateTemplate(template) generates sample instances with seeded values
+ * (the {placeholders} substituted) and validates every text they show.
+ * Each issue is { severity, kind, message, path }.
+ */
+
+const LATEX_SAMPLE_COUNT = 3;
+const LATEX_SNIPPET_LENGTH = 40;
+
+const KNOWN_TEX_MACROS = new Set([
+  // Greek letters
+  "alpha", "beta", "gamma", "delta", "epsilon", "varepsilon", "zeta", "eta", "theta", "vartheta",
+  "iota", "kappa", "lambda", "mu", "nu", "xi", "pi", "varpi", "rho", "varrho", "sigma", "varsigma",
+  "tau", "upsilon", "phi", "varphi", "chi", "psi", "omega", "Gamma", "Delta", "Theta", "Lambda",
+  "Xi", "Pi", "Sigma", "Upsilon", "Phi", "Psi", "Omega", "varkappa", "digamma", "varGamma",
+  "varDelta", "varTheta", "varLambda", "varXi", "varPi", "varSigma", "varUpsilon", "varPhi",
+  "varPsi", "varOmega",
+  // Fractions, roots and large operators
+  "frac", "dfrac", "tfrac", "cfrac", "sqrt", "binom", "dbinom", "tbinom", "over", "choose",
+  "sum", "prod", "coprod", "int", "iint", "iiint", "oint", "bigcup", "bigcap", "bigoplus",
+  "bigotimes", "bigvee", "bigwedge", "lim", "limsup", "liminf", "limits", "nolimits", "sqrtsign",
+  // Function names
+  "sin", "cos", "tan", "cot", "sec", "csc", "arcsin", "arccos", "arctan", "sinh", "cosh", "tanh",
+  "log", "ln", "lg", "exp", "max", "min", "sup", "inf", "det", "gcd", "deg", "arg", "dim", "ker",
+  "Pr", "mod", "bmod", "pmod", "pod", "operatorname", "arcsec", "arccsc", "arccot", "coth", "sech",
+  "csch", "hom", "lcm", "argmax", "argmin", "injlim", "projlim",
+  // Operators and relations
+  "cdot", "times", "div", "pm", "mp", "ast", "star", "circ", "bullet", "oplus", "ominus", "otimes",
+  "cap", "cup", "setminus", "wedge", "vee", "le", "leq", "ge", "geq", "lt", "gt", "ne", "neq",
+  "approx", "equiv", "sim", "simeq", "cong", "propto", "in", "notin", "ni", "subset", "subseteq",
+  "supset", "supseteq", "mid", "parallel", "perp", "ll", "gg", "doteq", "not", "leqslant",
+  "geqslant", "leqq", "geqq", "nleq", "ngeq", "nless", "ngtr", "lesssim", "gtrsim", "subsetneq",
+  "supsetneq", "nsubseteq", "nsupseteq", "sqsubseteq", "sqsupseteq", "nmid", "nparallel",
+  "approxeq", "asymp", "backsim", "ncong", "nsim", "vdash", "dashv", "models", "prec", "succ",
+  "preceq", "succeq", "triangleq", "coloneqq", "land", "lor", "odot", "oslash", "amalg",
+  "dagger", "ddagger", "wr", "sqcap", "sqcup", "uplus", "diamond", "bigcirc", "cdotp", "ltimes",
+  "rtimes", "bowtie",
+  // Arrows
+  "to", "rightarrow", "leftarrow", "Rightarrow", "Leftarrow", "leftrightarrow", "Leftrightarrow",
+  "implies", "iff", "mapsto", "longrightarrow", "longleftarrow", "uparrow", "downarrow",
+  "Longrightarrow", "Longleftarrow", "longleftrightarrow", "Longleftrightarrow", "longmapsto",
+  "impliedby", "Uparrow", "Downarrow", "updownarrow", "Updownarrow", "nearrow", "searrow",
+  "swarrow", "nwarrow", "hookrightarrow", "hookleftarrow", "rightharpoonup", "leftharpoonup",
+  "rightleftharpoons", "xrightarrow", "xleftarrow", "gets", "circlearrowleft", "circlearrowright",
+  // Symbols and accents
+  "infty", "angle", "measuredangle", "triangle", "square", "prime", "partial", "nabla", "forall",
+  "exists", "emptyset", "varnothing", "ldots", "cdots", "vdots", "ddots", "dots", "therefore",
+  "because", "neg", "lnot", "ell", "hbar", "Re", "Im", "aleph", "backslash", "overline",
+  "underline", "overrightarrow", "overleftrightarrow", "vec", "hat", "bar", "dot", "ddot", "tilde",
+  "widehat", "widetilde", "overbrace", "underbrace", "underset", "overset", "stackrel", "boxed",
+  "cancel", "bcancel", "xcancel", "cancelto", "color", "textcolor", "colorbox", "phantom",
+  "hphantom", "vphantom", "mathstrut", "overleftarrow", "underrightarrow", "underleftarrow",
+  "breve", "check", "acute", "grave", "mathring", "dddot", "widecheck", "overparen",
+  "underparen", "smile", "frown", "top", "bot", "flat", "sharp", "natural", "clubsuit",
+  "diamondsuit", "heartsuit", "spadesuit", "checkmark", "S", "P", "copyright",
+  "degree", "circledR", "imath", "jmath", "wp", "mho", "complement", "Finv", "Game", "beth",
+  "gimel", "daleth", "blacksquare", "blacktriangle", "triangledown", "lozenge", "bigstar",
+  "surd", "mathellipsis", "dotsc", "dotsb", "dotsm", "dotsi", "dotso",
+  "iddots", "hslash", "nexists", "sphericalangle", "diagup", "diagdown",
+  // Delimiters
+  "left", "right", "middle", "big", "Big", "bigg", "Bigg", "bigl", "bigr", "Bigl", "Bigr",
+  "biggl", "biggr", "Biggl", "Biggr", "langle", "rangle", "lfloor", "rfloor", "lceil", "rceil",
+  "vert", "Vert", "lvert", "rvert", "lVert", "rVert", "lbrace", "rbrace", "lbrack", "rbrack",
+  "ulcorner", "urcorner", "llcorner", "lrcorner", "bigm", "Bigm", "biggm", "Biggm",
+  // Fonts, text and spacing
+  "text", "textbf", "textit", "textrm", "textsf", "texttt", "textnormal", "mbox", "mathrm",
+  "mathbf", "mathit", "mathbb", "mathcal", "mathsf", "mathtt", "mathfrak", "mathscr",
+  "mathnormal", "bm", "boldsymbol", "pmb", "rm", "bf", "it", "sf", "tt", "cal", "displaystyle",
+  "textstyle", "scriptstyle", "scriptscriptstyle", "tiny", "small", "normalsize", "large",
+  "Large", "LARGE", "huge", "Huge", "quad", "qquad", "hspace", "vspace", "space", "enspace",
+  "thinspace", "medspace", "thickspace", "negthinspace", "negmedspace", "negthickspace", "kern",
+  "mkern", "hskip", "mskip", "mathop", "mathbin", "mathrel", "mathord", "mathopen", "mathclose",
+  "mathpunct", "mathinner", "tag", "notag", "nonumber", "label", "ref", "eqref", "unicode",
+  "href", "style", "class", "cssId", "mathchoice", "llap", "rlap", "clap", "smash", "raise",
+  "lower", "substack", "sideset", "genfrac", "atop", "above", "brace", "brack",
+  // Environments and arrays
+  "begin", "end", "hline", "hdashline", "cline", "cr", "newline", "multicolumn", "arraystretch",
+  "matrix", "pmatrix", "bmatrix", "cases"
+]);
+
+const MATH_DELIMITERS = {
+  "(": { close: ")", name: "\\(" },
+  "[": { close: "]", name: "\\[" }
+};
+
+class LatexValidator {
+  /**
+   * TeX issues in one text: [{ severity, kind, message }]
+   */
+  validate(text) {
+    const issues = [];
+    if (typeof text !== "string" || text === "") return issues;
+
+    const source = text.replace(/<\/?[a-zA-Z][^>]*>/g, match => " ".repeat(match.length));
+    const report = (severity, kind, message, offset) => {
+      const snippet = this.getSnippet(text, offset);
+      issues.push({ severity, kind, message: `${message} near "${snippet}"` });
+    };
+
+    let math = null;
+    let i = 0;
+    while (i < source.length) {
+      const character = source[i];
+
+      if (character === "$" && source[i + 1] === "$") {
+        if (math && math.name !== "$$") {
+          report("error", "delimiter", `$$ inside ${math.name} ... ${math.closeName}`, i);
+        } else if (math) {
+          this.closeMath(math, report);
+          math = null;
+        } else {
+          math = this.openMath("$$", "$$", "$$", i);
+        }
+        i += 2;
+        continue;
+      }
+
+      if (character === "\\") {
+        const next = source[i + 1];
+        const macro = source.slice(i + 1).match(/^[a-zA-Z]+/);
+        if (macro) {
+          i = this.readMacro(source, i, macro[0], math, report);
+          continue;
+        }
+
+        if (MATH_DELIMITERS[next]) {
+          if (math) {
+            report("error", "delimiter", `\\${next} opened inside ${math.name} ... ${math.closeName}`, i);
+          } else {
+            math = this.openMath(`\\${next}`, MATH_DELIMITERS[next].close, `\\${MATH_DELIMITERS[next].close}`, i);
+          }
+        } else if (next === ")" || next === "]") {
+          if (!math) {
+            report("error", "delimiter", `\\${next} without an opening delimiter`, i);
+          } else {
+            if (math.close !== next) {
+              report("error", "delimiter", `${math.name} closed by \\${next}`, i);
+            }
+            this.closeMath(math, report);
+            math = null;
+          }
+        }
+        i += 2;
+        continue;
+      }
+
+      if (math && character === "{") {
+        math.braces.push(i);
+      } else if (math && character === "}") {
+        if (math.braces.length === 0) {
+          report("error", "brace", `} without { in ${math.name} ... ${math.closeName}`, i);
+        } else {
+          math.braces.pop();
+        }
+      }
+      i++;
+    }
+
+    if (math) {
+      report("error", "delimiter", `${math.name} is never closed`, math.start);
+    }
+    return issues;
+  }
+
+  openMath(name, close, closeName, start) {
+    return { name, close, closeName, start, braces: [], lefts: [], environments: [] };
+  }
+
+  /**
+   * Report what a math span left open when its closing delimiter is reached
+   */
+  closeMath(math, report) {
+    if (math.braces.length > 0) {
+      report("error", "brace", `{ is never closed in ${math.name} ... ${math.closeName}`, math.braces[math.braces.length - 1]);
+    }
+    if (math.lefts.length > 0) {
+      report("error", "brace", "\\left without \\right", math.lefts[math.lefts.length - 1]);
+    }
+    math.environments.forEach(({ name, start }) => {
+      report("error", "brace", `\\begin{${name}} without \\end{${name}}`, start);
+    });
+  }
+
+  /**
+   * Check one \macro; returns the offset after it
+   */
+  readMacro(source, start, name, math, report) {
+    let end = start + 1 + name.length;
+
+    if (!math) {
+      report("warning", "outside-math", `\\${name} outside math mode is printed as-is; wrap it in \\( ... \\)`, start);
+      return end;
+    }
+
+    if (!KNOWN_TEX_MACROS.has(name)) {
+      report("warning", "macro", `unknown TeX command \\${name}`, start);
+      return end;
+    }
+
+    if (name === "left") {
+      math.lefts.push(start);
+    } else if (name === "right") {
+      if (math.lefts.length === 0) report("error", "brace", "\\right without \\left", start);
+      else math.lefts.pop();
+    } else if (name === "begin" || name === "end") {
+      const environment = source.slice(end).match(/^\s*\{([a-zA-Z*]+)\}/);
+      if (!environment) return end;
+      end += environment[0].length;
+
+      if (name === "begin") {
+        math.environments.push({ name: environment[1], start });
+      } else {
+        const open = math.environments.pop();
+        if (!open || open.name !== environment[1]) {
+          report("error", "brace", `\\end{${environment[1]}} without \\begin{${environment[1]}}`, start);
+          if (open) math.environments.push(open);
+        }
+      }
+    }
+    return end;
+  }
+
+  getSnippet(text, offset) {
+    const start = Math.max(0, offset - LATEX_SNIPPET_LENGTH / 2);
+    return text.slice(start, start + LATEX_SNIPPET_LENGTH).replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * TeX issues in every text a generated instance shows; each issue gets the
+   * instance path of its text (["question"], ["choices", 2], ["parts", 0, "answer"])
+   */
+  validateQuestion(question, path = []) {
+    const issues = [];
+    const check = (text, textPath) => {
+      this.validate(text).forEach(issue => issues.push({ ...issue, path: [...path, ...textPath] }));
+    };
+
+    check(question.questionText, ["question"]);
+    if (typeof question.answer === "string" && !Array.isArray(question.parts)) check(question.answer, ["answer"]);
+    check(question.statement, ["statement"]);
+    (question.choices || []).forEach((choice, index) => check(choice.text, ["choices", index]));
+    (question.blanks || []).forEach((blank, index) => check(blank, ["blanks", index]));
+    (question.items || []).forEach((entry, index) => check(entry && entry.text, ["items", index]));
+    if (question.matching) {
+      question.matching.prompts.forEach((prompt, index) => check(prompt.text, ["pairs", index, "prompt"]));
+      question.matching.matches.forEach((match, index) => check(match.text, ["pairs", index, "match"]));
+    }
+    (question.parts || []).forEach((part, index) => issues.push(...this.validateQuestion(part, [...path, "parts", index])));
+    return issues;
+  }
+
+  /**
+   * TeX issues across seeded sample instances of a template (needs QuestionGenerator),
+   * each issue listed once
+   */
+  validateTemplate(template, samples = LATEX_SAMPLE_COUNT) {
+    const issues = new Map();
+    for (let i = 0; i < samples; i++) {
+      let question;
+      try {
+        question = window.QuestionGenerator.generateQuestion(template, {
+          random: window.QuestionUtils.createSeededRandom("LATEX", template.id, i)
+        });
+      } catch (error) {
+        console.warn(`Template ${template.id}: could not generate a sample for TeX validation:`, error);
+        break;
+      }
+
+      for (const issue of this.validateQuestion(question)) {
+        const key = `${issue.path.join(".")} ${issue.kind} ${issue.message.replace(/ near .*$/, "")}`;
+        if (!issues.has(key)) issues.set(key, issue);
+      }
+    }
+    return Array.from(issues.values());
+  }
+}
+
+window.LatexValidator = new LatexValidator();
@@ -0,0 +1,922 @@
+/**
+ * Exact number types for question generation
+ *
+ * Rational: an exact fraction n/d in lowest terms with d > 0. Integer inputs,
+ * fraction variables and terminating decimals become Rationals, and + - * / and
+ * integer powers stay exact. An operation that would overflow a safe integer, or
+ * that has no rational result (sin(x), 2^0.5 · π), falls back to a plain number.
+ *
+ * Surd: an exact sum of rational multiples of square roots, such as the roots
+ * (3 ± 2√5)/4. sqrt of a non-square rational gives a Surd, and sums, products and
+ * quotients of surds stay exact with rationalized denominators.
+ *
+ * Complex: re + im·i with exact parts, from sqrt of a negative or complex(re, im),
+ * rendered as 3 \pm 2i or \frac{1}{2} + \frac{\sqrt{7}}{2}i.
+ */
+
+class Rational {
+  constructor(numerator, denominator = 1) {
+    if (!Number.isInteger(numerator) || !Number.isInteger(denominator)) {
+      throw new TypeError(`Rational parts must be integers, got ${numerator}/${denominator}`);
+    }
+    if (denominator === 0) {
+      throw new RangeError("Division by zero");
+    }
+
+    const g = greatestCommonDivisor(numerator, denominator) || 1;
+    let n = numerator / g;
+    let d = denominator / g;
+    if (d < 0) {
+      n = -n;
+      d = -d;
+    }
+    if (!Number.isSafeInteger(n) || !Number.isSafeInteger(d)) {
+      throw new RangeError("Rational overflow");
+    }
+
+    this.n = n === 0 ? 0 : n;
+    this.d = d;
+    Object.freeze(this);
+  }
+
+  /**
+   * Rational for an integer, a Rational, or a terminating decimal such as 0.25; otherwise null
+   */
+  static from(value) {
+    if (value instanceof Rational) return value;
+    if (typeof value !== "number" || !isFinite(value)) return null;
+    if (Number.isInteger(value)) return Number.isSafeInteger(value) ? new Rational(value, 1) : null;
+
+    const match = String(value).match(/^(-?)(\d+)\.(\d+)$/);
+    if (!match || match[3].length > 12) return null;
+    const scale = 10 ** match[3].length;
+    const numerator = Number(match[2]) * scale + Number(match[3]);
+    return Number.isSafeInteger(numerator)
+      ? new Rational(match[1] ? -numerator : numerator, scale)
+      : null;
+  }
+
+  /**
+   * Closest fraction with denominator ≤ maxDenominator, when it matches the float within eps
+   */
+  static approximate(value, maxDenominator = 10000, eps = 1e-9) {
+    if (typeof value !== "number" || !isFinite(value)) return null;
+    if (Number.isInteger(value)) return Rational.from(value);
+
+    const sign = value < 0 ? -1 : 1;
+    const x = Math.abs(value);
+    let [h1, h0, k1, k0] = [1, 0, 0, 1];
+    let b = x;
+
+    for (let i = 0; i < 64; i++) {
+      const a = Math.floor(b);
+      [h1, h0] = [a * h1 + h0, h1];
+      [k1, k0] = [a * k1 + k0, k1];
+      if (k1 > maxDenominator) break;
+      if (Math.abs(h1 / k1 - x) < eps) return new Rational(sign * h1, k1);
+      if (b - a === 0) break;
+      b = 1 / (b - a);
+    }
+    return null;
+  }
+
+  /**
+   * Whole, numerator and denominator of a mixed number (sign on the first non-zero part)
+   */
+  static mixed(whole, numerator, denominator) {
+    const fraction = new Rational(Math.abs(numerator), Math.abs(denominator));
+    const magnitude = new Rational(Math.abs(whole), 1).add(fraction);
+    const negative = whole < 0 || (whole === 0 && numerator * denominator < 0);
+    return negative ? magnitude.negate() : magnitude;
+  }
+
+  add(other) {
+    const o = toRational(other);
+    const g = greatestCommonDivisor(this.d, o.d);
+    const d = safeMultiply(this.d / g, o.d);
+    return new Rational(safeAdd(safeMultiply(this.n, o.d / g), safeMultiply(o.n, this.d / g)), d);
+  }
+
+  subtract(other) {
+    return this.add(toRational(other).negate());
+  }
+
+  multiply(other) {
+    const o = toRational(other);
+    const g1 = greatestCommonDivisor(this.n, o.d) || 1;
+    const g2 = greatestCommonDivisor(o.n, this.d) || 1;
+    return new Rational(
+      safeMultiply(this.n / g1, o.n / g2),
+      safeMultiply(this.d / g2, o.d / g1)
+    );
+  }
+
+  divide(other) {
+    return this.multiply(toRational(other).reciprocal());
+  }
+
+  /**
+   * Remainder with the sign of the dividend, like the JavaScript % operator
+   */
+  modulo(other) {
+    const o = toRational(other);
+    if (o.n === 0) throw new RangeError("Division by zero");
+    const quotient = this.divide(o);
+    return this.subtract(o.multiply(Math.trunc(quotient.n / quotient.d)));
+  }
+
+  /**
+   * Integer powers only; fractional exponents have no exact result
+   */
+  pow(exponent) {
+    const k = exponent instanceof Rational ? (exponent.d === 1 ? exponent.n : NaN) : exponent;
+    if (!Number.isInteger(k) || Math.abs(k) > 64) {
+      throw new RangeError("Only small integer exponents are exact");
+    }
+
+    let result = new Rational(1, 1);
+    for (let i = 0; i < Math.abs(k); i++) result = result.multiply(this);
+    return k < 0 ? result.reciprocal() : result;
+  }
+
+  negate() {
+    return new Rational(-this.n, this.d);
+  }
+
+  abs() {
+    return this.n < 0 ? this.negate() : this;
+  }
+
+  reciprocal() {
+    return new Rational(this.d, this.n);
+  }
+
+  sign() {
+    return Math.sign(this.n);
+  }
+
+  floor() {
+    return new Rational(Math.floor(this.n / this.d), 1);
+  }
+
+  ceil() {
+    return new Rational(Math.ceil(this.n / this.d), 1);
+  }
+
+  trunc() {
+    return new Rational(Math.trunc(this.n / this.d), 1);
+  }
+
+  round() {
+    return new Rational(Math.round(this.n / this.d), 1);
+  }
+
+  /**
+   * Exact square root when numerator and denominator are perfect squares, otherwise null
+   */
+  sqrt() {
+    if (this.n < 0) return null;
+    const rn = Math.round(Math.sqrt(this.n));
+    const rd = Math.round(Math.sqrt(this.d));
+    return rn * rn === this.n && rd * rd === this.d ? new Rational(rn, rd) : null;
+  }
+
+  compare(other) {
+    const o = toRational(other);
+    const diff = this.subtract(o);
+    return Math.sign(diff.n);
+  }
+
+  equals(other) {
+    const o = Rational.from(other);
+    return o !== null && o.n === this.n && o.d === this.d;
+  }
+
+  isInteger() {
+    return this.d === 1;
+  }
+
+  isZero() {
+    return this.n === 0;
+  }
+
+  toNumber() {
+    return this.n / this.d;
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return this.d === 1 ? String(this.n) : `${this.n}/${this.d}`;
+  }
+
+  /**
+   * Improper fraction as TeX: -\frac{7}{3}
+   */
+  toTex() {
+    if (this.d === 1) return String(this.n);
+    return `${this.n < 0 ? "-" : ""}\\frac{${Math.abs(this.n)}}{${this.d}}`;
+  }
+
+  /**
+   * Mixed number as TeX: -2\frac{1}{3}; proper fractions stay \frac{1}{3}
+   */
+  toMixedTex() {
+    const absN = Math.abs(this.n);
+    const whole = Math.floor(absN / this.d);
+    const remainder = absN % this.d;
+    if (remainder === 0) return String(this.n);
+
+    const sign = this.n < 0 ? "-" : "";
+    return `${sign}${whole === 0 ? "" : whole}\\frac{${remainder}}{${this.d}}`;
+  }
+}
+
+/**
+ * An exact sum of rational multiples of square roots: 3/4 + 1/2·√5, 2 + √3.
+ * Radicands are square-free (√12 becomes 2√3) and terms with equal radicands are
+ * merged; the rational part has radicand 1. Operations return a Rational when no
+ * radical is left, so (√2)^2 is the Rational 2. Division rationalizes one- and
+ * two-term denominators: 1/√2 → √2/2, 1/(2 + √3) → 2 - √3.
+ */
+class Surd {
+  constructor(terms) {
+    const merged = new Map();
+    for (const { coefficient, radicand } of terms) {
+      const [outside, inside] = splitSquareFactor(radicand);
+      const scaled = toRational(coefficient).multiply(outside);
+      merged.set(inside, merged.has(inside) ? merged.get(inside).add(scaled) : scaled);
+    }
+
+    this.terms = Object.freeze(
+      [...merged]
+        .filter(([, coefficient]) => !coefficient.isZero())
+        .sort((a, b) => a[0] - b[0])
+        .map(([radicand, coefficient]) => Object.freeze({ coefficient, radicand }))
+    );
+    Object.freeze(this);
+  }
+
+  /**
+   * Surd for the terms, or a Rational when none of them is irrational
+   */
+  static create(terms) {
+    const surd = new Surd(terms);
+    return surd.terms.every(term => term.radicand === 1) ? surd.rationalPart() : surd;
+  }
+
+  /**
+   * Surd for a Surd, Rational, integer or terminating decimal; otherwise null
+   */
+  static from(value) {
+    if (value instanceof Surd) return value;
+    const rational = Rational.from(value);
+    return rational ? new Surd([{ coefficient: rational, radicand: 1 }]) : null;
+  }
+
+  /**
+   * Exact square root of a non-negative rational: √(9/8) → 3/4·√2; null for negatives
+   */
+  static sqrt(value) {
+    const rational = Rational.from(value);
+    if (!rational || rational.n < 0) return null;
+    return rational.sqrt() || Surd.create([
+      { coefficient: new Rational(1, rational.d), radicand: safeMultiply(rational.n, rational.d) },
+    ]);
+  }
+
+  rationalPart() {
+    const term = this.terms.find(t => t.radicand === 1);
+    return term ? term.coefficient : new Rational(0, 1);
+  }
+
+  add(other) {
+    return Surd.create([...this.terms, ...toSurd(other).terms]);
+  }
+
+  subtract(other) {
+    return this.add(toSurd(other).negate());
+  }
+
+  multiply(other) {
+    const products = [];
+    for (const a of this.terms) {
+      for (const b of toSurd(other).terms) {
+        products.push({
+          coefficient: a.coefficient.multiply(b.coefficient),
+          radicand: safeMultiply(a.radicand, b.radicand),
+        });
+      }
+    }
+    return Surd.create(products);
+  }
+
+  /**
+   * Divide and rationalize: one-term divisors by √r/r, two-term divisors by their conjugate
+   */
+  divide(other) {
+    const divisor = toSurd(other);
+    const [first, second] = divisor.terms;
+
+    if (divisor.terms.length === 0) throw new RangeError("Division by zero");
+    if (divisor.terms.length === 1) {
+      return this.multiply(Surd.create([
+        { coefficient: first.coefficient.multiply(first.radicand).reciprocal(), radicand: first.radicand },
+      ]));
+    }
+    if (divisor.terms.length === 2) {
+      const conjugate = new Surd([first, { ...second, coefficient: second.coefficient.negate() }]);
+      const denominator = divisor.multiply(conjugate);
+      return toSurd(this.multiply(conjugate)).divide(denominator);
+    }
+    throw new RangeError("Only one- and two-term denominators are rationalized");
+  }
+
+  modulo() {
+    throw new RangeError("Remainder of an irrational value is not exact");
+  }
+
+  pow(exponent) {
+    const e = simplifyExact(exponent);
+    const k = e instanceof Rational ? (e.d === 1 ? e.n : NaN) : e;
+    if (!Number.isInteger(k) || Math.abs(k) > 16) {
+      throw new RangeError("Only small integer exponents of a surd are exact");
+    }
+
+    let result = new Rational(1, 1);
+    for (let i = 0; i < Math.abs(k); i++) result = toSurd(result).multiply(this);
+    return k < 0 ? toSurd(new Rational(1, 1)).divide(result) : result;
+  }
+
+  negate() {
+    return Surd.create(this.terms.map(term => ({ ...term, coefficient: term.coefficient.negate() })));
+  }
+
+  abs() {
+    return this.sign() < 0 ? this.negate() : this;
+  }
+
+  /**
+   * Sign from the float value; a Surd with a radical term is never exactly zero
+   */
+  sign() {
+    return Math.sign(this.toNumber());
+  }
+
+  floor() {
+    return new Rational(Math.floor(this.toNumber()), 1);
+  }
+
+  ceil() {
+    return new Rational(Math.ceil(this.toNumber()), 1);
+  }
+
+  trunc() {
+    return new Rational(Math.trunc(this.toNumber()), 1);
+  }
+
+  round() {
+    return new Rational(Math.round(this.toNumber()), 1);
+  }
+
+  /**
+   * Nested radicals are not simplified
+   */
+  sqrt() {
+    return null;
+  }
+
+  compare(other) {
+    return this.subtract(other).sign();
+  }
+
+  equals(other) {
+    const o = Surd.from(other);
+    if (!o) return false;
+    const difference = this.subtract(o);
+    return difference instanceof Rational && difference.isZero();
+  }
+
+  isInteger() {
+    return this.terms.length === 0 || (this.terms.length === 1 && this.terms[0].radicand === 1 &&
+      this.terms[0].coefficient.isInteger());
+  }
+
+  isZero() {
+    return this.terms.length === 0;
+  }
+
+  toNumber() {
+    return this.terms.reduce((sum, t) => sum + t.coefficient.toNumber() * Math.sqrt(t.radicand), 0);
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    if (this.terms.length === 0) return "0";
+    return this.terms
+      .map(t => (t.radicand === 1 ? String(t.coefficient) : `${t.coefficient}*sqrt(${t.radicand})`))
+      .join(" + ");
+  }
+
+  /**
+   * TeX over a common denominator: \frac{3 + 2\sqrt{5}}{4}, 2 + \sqrt{3}, -\frac{\sqrt{2}}{2}.
+   * A positive term leads when there is one: \sqrt{2} - 1, not -1 + \sqrt{2}.
+   */
+  toTex() {
+    if (this.terms.length === 0) return "0";
+    const { numerators: [numerators], denominator } = toCommonDenominator([this.terms]);
+    const lead = numerators.findIndex(term => term.value > 0);
+    const terms = lead > 0
+      ? [numerators[lead], ...numerators.slice(0, lead), ...numerators.slice(lead + 1)]
+      : numerators;
+    if (denominator === 1) return formatRadicalSum(terms);
+
+    const negative = terms.every(term => term.value < 0);
+    const numerator = formatRadicalSum(negative ? negateValues(terms) : terms);
+    return `${negative ? "-" : ""}\\frac{${numerator}}{${denominator}}`;
+  }
+
+  toMixedTex() {
+    return this.toTex();
+  }
+}
+
+/**
+ * A complex number re + im·i whose parts are exact values (Rational, Surd) or plain
+ * numbers. sqrt of a negative gives one (sqrt(-28) → 2√7·i), so quadratic roots with
+ * a negative discriminant stay exact. Results with a zero imaginary part are real.
+ * Complex numbers are not ordered: compare() is 0 when equal and NaN otherwise.
+ */
+class Complex {
+  constructor(re, im = 0) {
+    this.re = simplifyExact(re);
+    this.im = simplifyExact(im);
+    Object.freeze(this);
+  }
+
+  /**
+   * Complex number, or the real part when the imaginary part is zero
+   */
+  static create(re, im = 0) {
+    return isZeroValue(im) ? simplifyExact(re) : new Complex(re, im);
+  }
+
+  /**
+   * Complex for a Complex, exact value or finite number; otherwise null
+   */
+  static from(value) {
+    if (value instanceof Complex) return value;
+    if (isExact(value) || (typeof value === "number" && isFinite(value))) return new Complex(value, 0);
+    return null;
+  }
+
+  add(other) {
+    const o = toComplex(other);
+    return Complex.create(exactArithmetic.add(this.re, o.re), exactArithmetic.add(this.im, o.im));
+  }
+
+  subtract(other) {
+    return this.add(toComplex(other).negate());
+  }
+
+  multiply(other) {
+    const o = toComplex(other);
+    const { add, subtract, multiply } = exactArithmetic;
+    return Complex.create(
+      subtract(multiply(this.re, o.re), multiply(this.im, o.im)),
+      add(multiply(this.re, o.im), multiply(this.im, o.re))
+    );
+  }
+
+  /**
+   * (a + bi)/(c + di) = (a + bi)(c - di)/(c² + d²)
+   */
+  divide(other) {
+    const o = toComplex(other);
+    const { add, multiply, divide } = exactArithmetic;
+    const denominator = add(multiply(o.re, o.re), multiply(o.im, o.im));
+    if (isZeroValue(denominator)) throw new RangeError("Division by zero");
+    return toComplex(this.multiply(o.conjugate())).divideByReal(denominator);
+  }
+
+  divideByReal(value) {
+    return Complex.create(exactArithmetic.divide(this.re, value), exactArithmetic.divide(this.im, value));
+  }
+
+  modulo() {
+    throw new RangeError("Complex numbers have no remainder");
+  }
+
+  pow(exponent) {
+    const e = simplifyExact(exponent);
+    const k = e instanceof Rational ? (e.d === 1 ? e.n : NaN) : e;
+    if (!Number.isInteger(k) || Math.abs(k) > 16) {
+      throw new RangeError("Only small integer powers of a complex number are exact");
+    }
+
+    let result = new Rational(1, 1);
+    for (let i = 0; i < Math.abs(k); i++) result = toComplex(result).multiply(this);
+    return k < 0 ? toComplex(new Rational(1, 1)).divide(result) : result;
+  }
+
+  negate() {
+    return Complex.create(exactArithmetic.negate(this.re), exactArithmetic.negate(this.im));
+  }
+
+  conjugate() {
+    return Complex.create(this.re, exactArithmetic.negate(this.im));
+  }
+
+  /**
+   * Modulus |a + bi| = √(a² + b²)
+   */
+  abs() {
+    const { add, multiply, sqrt } = exactArithmetic;
+    return sqrt(add(multiply(this.re, this.re), multiply(this.im, this.im)));
+  }
+
+  sign() {
+    throw new RangeError("Complex numbers have no sign");
+  }
+
+  floor() {
+    throw new RangeError("Complex numbers cannot be rounded");
+  }
+
+  ceil() {
+    return this.floor();
+  }
+
+  trunc() {
+    return this.floor();
+  }
+
+  round() {
+    return this.floor();
+  }
+
+  sqrt() {
+    return null;
+  }
+
+  compare(other) {
+    return this.equals(other) ? 0 : NaN;
+  }
+
+  equals(other) {
+    const o = Complex.from(other);
+    return o !== null && isZeroValue(exactArithmetic.subtract(this.re, o.re)) &&
+      isZeroValue(exactArithmetic.subtract(this.im, o.im));
+  }
+
+  isInteger() {
+    return false;
+  }
+
+  isZero() {
+    return isZeroValue(this.re) && isZeroValue(this.im);
+  }
+
+  /**
+   * The real value when the imaginary part is zero, otherwise NaN
+   */
+  toNumber() {
+    return isZeroValue(this.im) ? toPlainNumber(this.re) : NaN;
+  }
+
+  valueOf() {
+    return this.toNumber();
+  }
+
+  toString() {
+    return `complex(${this.re}, ${this.im})`;
+  }
+
+  /**
+   * TeX with the imaginary unit last: 3 - 2i, \frac{1}{2} + \frac{\sqrt{7}}{2}i, -i
+   */
+  toTex() {
+    const imaginary = formatImaginary(this.im);
+    if (isZeroValue(this.re)) return imaginary.negative ? `-${imaginary.tex}` : imaginary.tex;
+    return `${formatRealPart(this.re)} ${imaginary.negative ? "-" : "+"} ${imaginary.tex}`;
+  }
+
+  toMixedTex() {
+    return this.toTex();
+  }
+}
+
+/* -----------------------------
+   Helpers
+   ----------------------------- */
+
+function greatestCommonDivisor(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+function leastCommonMultiple(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return Math.abs(a / greatestCommonDivisor(a, b) * b);
+}
+
+function safeMultiply(a, b) {
+  const product = a * b;
+  if (!Number.isSafeInteger(product)) throw new RangeError("Rational overflow");
+  return product;
+}
+
+function safeAdd(a, b) {
+  const sum = a + b;
+  if (!Number.isSafeInteger(sum)) throw new RangeError("Rational overflow");
+  return sum;
+}
+
+function toRational(value) {
+  const rational = Rational.from(value);
+  if (!rational) throw new TypeError(`${value} is not rational`);
+  return rational;
+}
+
+function isRational(value) {
+  return value instanceof Rational;
+}
+
+function toSurd(value) {
+  const surd = Surd.from(value);
+  if (!surd) throw new TypeError(`${value} is not a surd`);
+  return surd;
+}
+
+function isSurd(value) {
+  return value instanceof Surd;
+}
+
+/**
+ * A Surd without radical terms as a Rational; anything else unchanged
+ */
+function simplifyExact(value) {
+  if (value instanceof Surd) return Surd.create(value.terms);
+  if (value instanceof Complex) return Complex.create(value.re, value.im);
+  return value;
+}
+
+/**
+ * True for exact values: Rationals, Surds and Complex numbers
+ */
+function isExact(value) {
+  return value instanceof Rational || value instanceof Surd || value instanceof Complex;
+}
+
+/**
+ * Exact value for a Rational, Surd, Complex, integer or terminating decimal; otherwise null
+ */
+function toExact(value) {
+  return value instanceof Surd || value instanceof Complex ? value : Rational.from(value);
+}
+
+function toComplex(value) {
+  const complex = Complex.from(value);
+  if (!complex) throw new TypeError(`${value} is not a complex number`);
+  return complex;
+}
+
+function isComplex(value) {
+  return value instanceof Complex;
+}
+
+function isZeroValue(value) {
+  return isExact(value) ? value.isZero() : value === 0;
+}
+
+/**
+ * Plain number for any exact or numeric value
+ */
+function toPlainNumber(value) {
+  if (isExact(value)) return value.toNumber();
+  return typeof value === "number" ? value : Number(value);
+}
+
+/**
+ * n = outside² · inside with inside square-free: 72 → [6, 2]
+ */
+function splitSquareFactor(n) {
+  if (!Number.isSafeInteger(n) || n < 1) throw new RangeError(`Invalid radicand ${n}`);
+  if (n > 1e12) throw new RangeError("Radicand too large to simplify");
+
+  let outside = 1;
+  let inside = n;
+  for (let f = 2; f * f <= inside; f++) {
+    while (inside % (f * f) === 0) {
+      outside *= f;
+      inside /= f * f;
+    }
+  }
+  return [outside, inside];
+}
+
+/* -----------------------------
+   Surd TeX
+   ----------------------------- */
+
+/**
+ * Integer numerators over one denominator for several term lists:
+ * [[1/2, 1/3·√3]] → { numerators: [[3, 2√3]], denominator: 6 }
+ */
+function toCommonDenominator(termLists) {
+  const denominator = termLists
+    .flat()
+    .reduce((lcm, term) => leastCommonMultiple(lcm, term.coefficient.d), 1);
+  if (!Number.isSafeInteger(denominator)) throw new RangeError("Rational overflow");
+
+  const numerators = termLists.map(terms => terms.map(term => ({
+    radicand: term.radicand,
+    value: safeMultiply(term.coefficient.n, denominator / term.coefficient.d),
+  })));
+  return { numerators, denominator };
+}
+
+function negateValues(terms) {
+  return terms.map(term => ({ ...term, value: -term.value }));
+}
+
+/**
+ * Integer terms as TeX: 3 - 2\sqrt{5}
+ */
+function formatRadicalSum(terms) {
+  return terms
+    .map((term, i) => {
+      const abs = Math.abs(term.value);
+      const magnitude = term.radicand === 1
+        ? String(abs)
+        : `${abs === 1 ? "" : abs}\\sqrt{${term.radicand}}`;
+      if (i === 0) return term.value < 0 ? `-${magnitude}` : magnitude;
+      return `${term.value < 0 ? "-" : "+"} ${magnitude}`;
+    })
+    .join(" ");
+}
+
+/**
+ * Both values of center ± offset: { plus, minus }
+ */
+function plusMinus(center, offset) {
+  return {
+    plus: exactArithmetic.add(center, offset),
+    minus: exactArithmetic.subtract(center, offset),
+  };
+}
+
+/**
+ * center ± offset as one TeX expression over a common denominator:
+ * (-3/4, √5/2) → \frac{-3 \pm 2\sqrt{5}}{4}, (0, √2/2) → \pm \frac{\sqrt{2}}{2}.
+ * The sign of the offset is dropped; null when either part is not exact.
+ */
+function plusMinusTex(center, offset) {
+  if (isComplex(center) || isComplex(offset)) return complexPlusMinusTex(center, offset);
+
+  const c = Surd.from(center);
+  let o = Surd.from(offset);
+  if (!c || !o) return null;
+  if (o.isZero()) return c.toTex();
+  if (o.terms[0].coefficient.sign() < 0) o = toSurd(o.negate());
+  if (c.isZero()) return `\\pm ${o.toTex()}`;
+
+  const { numerators: [centerTerms, offsetTerms], denominator } = toCommonDenominator([c.terms, o.terms]);
+  const offsetText = offsetTerms.length > 1
+    ? `\\left(${formatRadicalSum(offsetTerms)}\\right)`
+    : formatRadicalSum(offsetTerms);
+  const numerator = `${formatRadicalSum(centerTerms)} \\pm ${offsetText}`;
+  return denominator === 1 ? numerator : `\\frac{${numerator}}{${denominator}}`;
+}
+
+/* -----------------------------
+   Complex TeX
+   ----------------------------- */
+
+/**
+ * center ± offset with complex parts kept apart: 3 \pm 2i, \frac{1}{2} \pm \frac{\sqrt{7}}{2}i
+ */
+function complexPlusMinusTex(center, offset) {
+  const o = Complex.from(offset);
+  if (!o || !(isExact(center) || typeof center === "number")) return null;
+  if (o.isZero()) return formatRealPart(center);
+
+  const lead = isZeroValue(o.re) ? o.im : o.re;
+  const magnitude = toPlainNumber(lead) < 0 ? o.negate() : simplifyExact(o);
+  const tex = formatRealPart(magnitude);
+  const offsetText = isComplex(magnitude) && !isZeroValue(magnitude.re) ? `\\left(${tex}\\right)` : tex;
+  return isZeroValue(center) ? `\\pm ${offsetText}` : `${formatRealPart(center)} \\pm ${offsetText}`;
+}
+
+/**
+ * A plain number part, rounded to 10 significant digits
+ */
+function formatPlainNumber(num) {
+  return String(Number(num.toPrecision(10)));
+}
+
+function formatRealPart(value) {
+  return isExact(value) ? value.toTex() : formatPlainNumber(toPlainNumber(value));
+}
+
+/**
+ * Imaginary part as { negative, tex } with tex the magnitude: i, 2i, \frac{\sqrt{7}}{2}i, \left(1 + \sqrt{2}\right)i
+ */
+function formatImaginary(im) {
+  const negative = toPlainNumber(im) < 0;
+  const magnitude = negative ? exactArithmetic.negate(im) : im;
+  if (isExact(magnitude) ? magnitude.equals(1) : magnitude === 1) return { negative, tex: "i" };
+
+  const tex = formatRealPart(magnitude);
+  const grouped = isSurd(magnitude) && magnitude.terms.length > 1 && !tex.startsWith("\\frac");
+  return { negative, tex: grouped ? `\\left(${tex}\\right)i` : `${tex}i` };
+}
+
+/* -----------------------------
+   Exact arithmetic with fallback
+   ----------------------------- */
+
+/**
+ * Run an exact operation when every operand is exact (all as Complex numbers if any
+ * operand is one, else as Surds if any is one); otherwise, or when the exact result
+ * overflows or does not exist, compute with plain numbers.
+ */
+function exactOrFloat(operands, exact, float) {
+  const values = operands.map(toExact);
+  if (values.every(Boolean)) {
+    try {
+      const result = exact(...promoteOperands(values));
+      if (result !== null && result !== undefined) return simplifyExact(result);
+    } catch (error) {
+      if (!(error instanceof RangeError)) throw error;
+    }
+  }
+  return float(...operands.map(toPlainNumber));
+}
+
+/**
+ * Square root: a Rational for perfect squares, a Surd otherwise, times i for
+ * negatives; null for surds (nested radicals) and complex numbers
+ */
+function exactSquareRoot(value) {
+  if (!(value instanceof Rational)) return null;
+  if (value.n >= 0) return Surd.sqrt(value);
+  const root = Surd.sqrt(value.negate());
+  return root && new Complex(0, root);
+}
+
+const HALF = new Rational(1, 2);
+
+function promoteOperands(values) {
+  if (values.some(isComplex)) return values.map(toComplex);
+  if (values.some(isSurd)) return values.map(toSurd);
+  return values;
+}
+
+/**
+ * Square root of a plain number; negatives give an imaginary Complex
+ */
+function floatSquareRoot(value) {
+  return value < 0 ? new Complex(0, Math.sqrt(-value)) : Math.sqrt(value);
+}
+
+const exactArithmetic = {
+  add: (a, b) => exactOrFloat([a, b], (x, y) => x.add(y), (x, y) => x + y),
+  subtract: (a, b) => exactOrFloat([a, b], (x, y) => x.subtract(y), (x, y) => x - y),
+  multiply: (a, b) => exactOrFloat([a, b], (x, y) => x.multiply(y), (x, y) => x * y),
+  divide: (a, b) => exactOrFloat([a, b], (x, y) => x.divide(y), (x, y) => x / y),
+  modulo: (a, b) => exactOrFloat([a, b], (x, y) => x.modulo(y), (x, y) => x % y),
+  power: (a, b) => exactOrFloat([a, b],
+    (x, y) => (HALF.equals(simplifyExact(y)) ? exactSquareRoot(simplifyExact(x)) : x.pow(y)),
+    (x, y) => Math.pow(x, y)),
+  sqrt: (a) => exactOrFloat([a], exactSquareRoot, floatSquareRoot),
+  negate: (a) => exactOrFloat([a], x => x.negate(), x => -x),
+  compare: (a, b) => exactOrFloat([a, b], (x, y) => x.compare(y), (x, y) => Math.sign(x - y)),
+};
+
+window.MathUtils = {
+  Rational,
+  Surd,
+  Complex,
+  gcd: greatestCommonDivisor,
+  lcm: leastCommonMultiple,
+  isRational,
+  isSurd,
+  isComplex,
+  isExact,
+  toExact,
+  toNumber: toPlainNumber,
+  exactOrFloat,
+  exactArithmetic,
+  plusMinus,
+  plusMinusTex,
+};
@@ -2,17 +2,35 @@
  * Utility functions for question handling and validation
  *
  * Features:
- * - Evaluate formulas with built-in Math
+ * - Variable kinds: integer/stepped decimal ranges, nonzero, primes, perfect
+ *   squares, rationals and weighted choice lists
+ * - Evaluate formulas with the sandboxed ExpressionEvaluator
  * - Display formula results as:
  *     • Integers
  *     • Simplified fractions (e.g. \( \frac{7}{3} \))
  *     • Simplified radicals (e.g. \( 2\sqrt{3} \), \( \frac{1}{2}\sqrt{5} \))
- * - Exact fraction detection for integer arithmetic
+ * - Exact rational arithmetic for formulas (MathUtils.Rational), including
+ *   frac(n, d), idiv(a, b) and mixed(w, n, d)
+ * - Exact surds (MathUtils.Surd): sqrt(b^2 - 4*a*c) stays a radical, displayed
+ *   as \( \frac{3 + 2\sqrt{5}}{4} \) with rationalized denominators
+ * - Complex numbers (MathUtils.Complex) from sqrt of a negative, displayed
+ *   as \( \frac{1}{2} + \frac{\sqrt{7}}{2}i \)
+ * - ± pairs: {pm: center, offset} → \( \frac{3 \pm 2\sqrt{5}}{4} \), \( 3 \pm 2i \)
+ * - {expression} placeholders with format pipes: |frac, |round:n, |radical,
+ *   |sci, |mixed, |sign, |coef, |signedCoef, |unit:cm^3
+ * - Unit variables ({ "min": 3, "max": 8, "unit": "cm" }) display as \( 5~\mathrm{cm} \)
+ * - Rounding policies ("nearest hundredth", "3 significant figures", "exact and
+ *   decimal") for answers and variables with their own "rounding"; {rounding}
+ *   states the policy in the question ("Round to the nearest hundredth.")
+ * - Polynomial terms: {poly: a x^2, b x, c} and {signed: b} drop zero terms,
+ *   hide unit coefficients and merge signs
  */
 
 function validateVariableValue(value, constraints, allVars) {
   if (!constraints) return true;
 
+  if (constraints.nonzero && value === 0) return false;
+
   if (constraints.exclude) {
     for (const exclusion of constraints.exclude) {
       if (typeof exclusion === 'string') {
@@ -31,23 +49,34 @@ function validateVariableValue(value, constraints, allVars) {
   return true;
 }
 
-function generateVariableValue(key, constraints, allVars, maxAttempts = 50) {
+/**
+ * Draw a value for one variable definition.
+ *
+ * Supported constraint kinds:
+ * - { min, max }                        integers in range
+ * - { min, max, step, decimals }        multiples of step from min, shown with fixed decimals
+ * - { min, max, nonzero: true }         range without 0
+ * - { min, max, prime: true }           primes in range
+ * - { min, max, square: true }          perfect squares in range
+ * - { rational: { numerator: {...}, denominator: {...} } } or { rational: [[n, d], ...] }
+ * - { values: [...], weights: [...] }   (weighted) choice list
+ * - { textValue: [...] }                random string
+ */
+function generateVariableValue(key, constraints, allVars, random = Math.random, maxAttempts = 50) {
+  // Handle textValue: pick a random string from the array
+  if (constraints.textValue && Array.isArray(constraints.textValue)) {
+    return constraints.textValue[Math.floor(random() * constraints.textValue.length)];
+  }
+
   let attempts = 0;
   let value;
 
   do {
-    if (constraints.values) {
-      value = constraints.values[Math.floor(Math.random() * constraints.values.length)];
-    } else if (typeof constraints.min === "number" && typeof constraints.max === "number") {
-      value = Math.floor(Math.random() * (constraints.max - constraints.min + 1)) + constraints.min;
-    } else {
-      value = constraints.default !== undefined ? constraints.default : 0;
-    }
-
+    value = drawCandidateValue(constraints, random);
     attempts++;
   } while (!validateVariableValue(value, constraints, allVars) && attempts < maxAttempts);
 
-  if (attempts >= maxAttempts) {
+  if (!validateVariableValue(value, constraints, allVars)) {
     console.warn(`Could not generate valid value for variable ${key} after ${maxAttempts} attempts`);
     return constraints.default !== undefined ? constraints.default : 0;
   }
@@ -55,64 +84,228 @@ function generateVariableValue(key, constraints, allVars, maxAttempts = 50) {
   return value;
 }
 
+/**
+ * Draw one unvalidated candidate value (see generateVariableValue for the kinds)
+ */
+function drawCandidateValue(constraints, random) {
+  if (constraints.values) {
+    return pickWeighted(constraints.values, constraints.weights, random);
+  }
+  if (constraints.rational) {
+    return drawRational(constraints.rational, random);
+  }
+  if (typeof constraints.min === "number" && typeof constraints.max === "number") {
+    return drawFromRange(constraints, random);
+  }
+  return constraints.default !== undefined ? constraints.default : 0;
+}
+
+function pickWeighted(values, weights, random) {
+  if (!Array.isArray(weights) || weights.length !== values.length) {
+    return values[Math.floor(random() * values.length)];
+  }
+
+  const total = weights.reduce((sum, w) => sum + Math.max(0, w), 0);
+  let r = random() * total;
+  for (let i = 0; i < values.length; i++) {
+    r -= Math.max(0, weights[i]);
+    if (r < 0) return values[i];
+  }
+  return values[values.length - 1];
+}
+
+/**
+ * Draw from min..max in steps; prime/square ranges pick from the matching members
+ */
+function drawFromRange(constraints, random) {
+  const { min, max } = constraints;
+  const step = constraints.step || 1;
+  const decimals = getStepDecimals(constraints);
+
+  if (constraints.prime || constraints.square) {
+    const candidates = [];
+    for (let n = Math.ceil(min); n <= max; n++) {
+      if (constraints.prime && !isPrime(n)) continue;
+      if (constraints.square && !isPerfectSquare(n)) continue;
+      candidates.push(n);
+    }
+    if (candidates.length === 0) {
+      return constraints.default !== undefined ? constraints.default : min;
+    }
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  const count = Math.floor((max - min) / step + 1e-9) + 1;
+  const value = min + Math.floor(random() * count) * step;
+  return decimals > 0 ? Number(value.toFixed(decimals)) : value;
+}
+
+/**
+ * Draw a rational number from numerator/denominator ranges or a list of [n, d] pairs
+ */
+function drawRational(spec, random) {
+  if (Array.isArray(spec)) {
+    const [n, d] = spec[Math.floor(random() * spec.length)];
+    return n / d;
+  }
+
+  const numeratorSpec = spec.numerator || { min: 1, max: 9 };
+  const denominatorSpec = { ...(spec.denominator || { min: 2, max: 9 }), nonzero: true };
+
+  const numerator = drawValidFromRange(numeratorSpec, random);
+  const denominator = drawValidFromRange(denominatorSpec, random);
+  return numerator / (denominator || 1);
+}
+
+function drawValidFromRange(spec, random, maxAttempts = 50) {
+  let value;
+  for (let i = 0; i < maxAttempts; i++) {
+    value = drawFromRange(spec, random);
+    if (validateVariableValue(value, spec, {})) break;
+  }
+  return value;
+}
+
+/**
+ * Decimal places for a range variable: explicit "decimals", else those of "step"
+ */
+function getStepDecimals(constraints) {
+  if (typeof constraints.decimals === "number") return constraints.decimals;
+  const stepText = String(constraints.step || 1);
+  const dot = stepText.indexOf(".");
+  return dot === -1 ? 0 : stepText.length - dot - 1;
+}
+
+/**
+ * True when a variable displays a fixed number of decimals: explicit "decimals",
+ * or a fractional "step" (step 0.25 shows 2.5 as 2.50)
+ */
+function hasFixedDecimals(constraints) {
+  return typeof constraints.decimals === 'number' || (typeof constraints.step === 'number' && getStepDecimals(constraints) > 0);
+}
+
 /* -----------------------------
-   Math Helpers
+   Seeded Random
    ----------------------------- */
 
-function gcd(a, b) {
-  a = Math.abs(a);
-  b = Math.abs(b);
-  while (b !== 0) {
-    [a, b] = [b, a % b];
+/**
+ * Create a new random seed: six base-36 characters, easy to print and retype
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).toUpperCase().padStart(6, "0");
+}
+
+/**
+ * Hash a seed plus optional salts (question index, version, ...) to a 32-bit integer (FNV-1a)
+ */
+function deriveSeed(seed, ...salts) {
+  const text = [String(seed).trim().toUpperCase(), ...salts].join(":");
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
-  return a;
+  return hash >>> 0;
 }
 
-function evaluateJSExpression(expression, variables = {}) {
-  const helpers = {
-    sqrt: Math.sqrt, sin: Math.sin, cos: Math.cos, tan: Math.tan,
-    asin: Math.asin, acos: Math.acos, atan: Math.atan,
-    abs: Math.abs, pow: Math.pow, log: Math.log, ln: Math.log,
-    exp: Math.exp, min: Math.min, max: Math.max,
-    round: Math.round, floor: Math.floor, ceil: Math.ceil,
-    PI: Math.PI, E: Math.E,
+/**
+ * Mulberry32 PRNG: returns a Math.random-compatible function for a seed
+ */
+function createSeededRandom(seed, ...salts) {
+  let state = deriveSeed(seed, ...salts);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
+}
 
-  const helperNames = Object.keys(helpers);
-  const fnArgs = ['vars', ...helperNames, 'Math'];
-  const fnBody = `with(vars){ return (${expression}); }`;
-  const fn = new Function(...fnArgs, fnBody);
+const SEED_PATTERN = /^[A-Z0-9]{1,12}$/;
+const SEED_SETTINGS_PATTERN = /^(\d+)(S?)(C?)(?:R(E?)(?:D(\d+))?(?:S(\d+))?)?$/;
+
+/**
+ * Seed token: the seed plus every setting that changes the printed forms, so
+ * entering it with the same selected templates rebuilds the same assessment (the
+ * templates themselves are not in the token). Defaults (one form, no shuffling,
+ * no rounding override) print the bare seed; otherwise "K7Q2M9-3SCRED2":
+ *   3 forms · S shuffled questions · C shuffled choices · R rounding override
+ *   (E exact, D<n> decimal places, S<n> significant figures)
+ * Seeds are letters and digits only, so "-" always starts the settings.
+ */
+function formatSeedToken(seed, settings = {}) {
+  const { count = 1, shuffle = false, shuffleChoices = false, rounding } = settings;
+  const policy = parseRoundingPolicy(rounding);
+  const roundingCode = policy
+    ? `R${policy.exact ? 'E' : ''}${policy.decimals !== undefined ? `D${policy.decimals}` : ''}${policy.sigFigs !== undefined ? `S${policy.sigFigs}` : ''}`
+    : '';
 
-  const fnArgValues = [variables, ...helperNames.map(n => helpers[n]), Math];
-  return fn(...fnArgValues);
+  if (count <= 1 && !shuffle && !shuffleChoices && !roundingCode) return seed;
+  return `${seed}-${Math.max(1, count)}${shuffle ? 'S' : ''}${shuffleChoices ? 'C' : ''}${roundingCode}`;
 }
 
 /**
- * Try to parse a simple arithmetic expression (for exact fraction detection)
+ * Split a seed token into { seed, settings }; settings is null for a bare seed.
+ * settings.rounding is a rounding setting text ("exact and 2 decimal places").
+ * Returns null for text that is neither a seed nor a seed with valid settings.
  */
-function tryParseIntegerDivision(formula, vars) {
-  if (!formula) return null;
+function parseSeedToken(token) {
+  const [seed, settingsText, ...rest] = String(token).trim().toUpperCase().split('-');
+  if (!SEED_PATTERN.test(seed) || rest.length > 0) return null;
+  if (settingsText === undefined) return { seed, settings: null };
 
-  // Match patterns like: (a*d + c)/b  or  a/b  or  (x + 1)/(y - 2)
-  const divRegex = /\(?\s*([^()\/]+)\s*\/\s*([^()\/]+)\s*\)?$/;
-  const match = formula.match(divRegex);
-  if (!match) return null;
+  const code = settingsText.match(SEED_SETTINGS_PATTERN);
+  if (!code) return null;
 
-  const numExpr = match[1].trim();
-  const denExpr = match[2].trim();
+  const [, count, shuffle, shuffleChoices, exact, decimals, sigFigs] = code;
+  const decimal = decimals !== undefined ? `${decimals} decimal places`
+    : sigFigs !== undefined ? `${sigFigs} significant figures` : '';
+  const rounding = exact ? (decimal ? `exact and ${decimal}` : 'exact') : decimal;
 
-  try {
-    const num = evaluateJSExpression(numExpr, vars);
-    const den = evaluateJSExpression(denExpr, vars);
-
-    if (Number.isInteger(num) && Number.isInteger(den) && den !== 0) {
-      return { n: num, d: den };
+  return {
+    seed,
+    settings: {
+      count: Number(count),
+      shuffle: shuffle === 'S',
+      shuffleChoices: shuffleChoices === 'C',
+      rounding
     }
-  } catch (e) {
-    // ignore
+  };
+}
+
+/* -----------------------------
+   Math Helpers
+   ----------------------------- */
+
+function isPrime(n) {
+  if (!Number.isInteger(n) || n < 2) return false;
+  for (let i = 2; i * i <= n; i++) {
+    if (n % i === 0) return false;
   }
+  return true;
+}
 
-  return null;
+function isPerfectSquare(n) {
+  if (!Number.isInteger(n) || n < 0) return false;
+  const root = Math.round(Math.sqrt(n));
+  return root * root === n;
+}
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b !== 0) {
+    [a, b] = [b, a % b];
+  }
+  return a;
+}
+
+/**
+ * Evaluate a bank expression with the sandboxed ExpressionEvaluator
+ */
+function evaluateExpression(expression, variables = {}) {
+  return window.ExpressionEvaluator.evaluate(expression, variables);
 }
 
 /**
@@ -193,14 +386,15 @@ function approximateFraction(x, maxDenominator = 1000, eps = 1e-12) {
   const g = gcd(Math.abs(num1), den1);
   const approxN = sign * (num1 / g);
   const approxD = den1 / g;
-  if (Math.abs(approxN / approxD - x) < eps) {
+  if (Math.abs(approxN / approxD - sign * x) < eps) {
     return { n: approxN, d: approxD };
   }
   return null;
 }
 
 /**
- * Main display formatter — now detects exact fractions from formulas
+ * Main display formatter — exact fractions and surds come from re-evaluating the
+ * formula exactly; other radicals and fractions are recognised from the float
  */
 function formatNumberForDisplay(num, formula = null, vars = null) {
   if (num === null || num === undefined || Number.isNaN(num)) return String(num);
@@ -209,22 +403,10 @@ function formatNumberForDisplay(num, formula = null, vars = null) {
   // 1. Integer
   if (Number.isInteger(num)) return String(num);
 
-  // 2. Exact fraction from integer division (e.g. (a*d+c)/b)
+  // 2. Exact fraction or surd: re-run the formula with exact arithmetic
   if (formula && vars) {
-    const exact = tryParseIntegerDivision(formula, vars);
-    if (exact) {
-      let n = exact.n;
-      let d = exact.d;
-      const sign = n < 0 ? -1 : 1;
-      n = Math.abs(n);
-      d = Math.abs(d);
-      const g = gcd(n, d);
-      n /= g;
-      d /= g;
-      n *= sign;
-      if (d === 1) return String(n);
-      return `\\( \\frac{${n < 0 ? '-' + (-n) : n}}{${d}} \\)`;
-    }
+    const exact = evaluateExactValue(formula, vars);
+    if (window.MathUtils.isExact(exact)) return formatExactForDisplay(exact);
   }
 
   // 3. Simplified radical
@@ -234,7 +416,7 @@ function formatNumberForDisplay(num, formula = null, vars = null) {
   // 4. Approximate fraction (fallback)
   const frac = approximateFraction(num, 1000, 1e-12);
   if (frac && frac.d !== 1 && Math.abs(frac.n / frac.d - num) < 1e-12) {
-    return `\\( \\frac{${frac.n}}{${frac.d}} \\)`;
+    return `\\( ${frac.n < 0 ? '-' : ''}\\frac{${Math.abs(frac.n)}}{${frac.d}} \\)`;
   }
 
   // 5. Clean decimal (last resort)
@@ -243,67 +425,239 @@ function formatNumberForDisplay(num, formula = null, vars = null) {
   return s || '0';
 }
 
+/**
+ * Exact value display: integers as-is, fractions as \( \frac{n}{d} \) or, with
+ * mode 'mixed', as a mixed number \( 2\frac{1}{3} \); surds as \( 2 + \sqrt{3} \)
+ */
+function formatExactForDisplay(value, mode = 'fraction') {
+  if (window.MathUtils.isRational(value) && value.isInteger()) return String(value.n);
+  return `\\( ${mode === 'mixed' ? value.toMixedTex() : value.toTex()} \\)`;
+}
+
+/**
+ * Display for any evaluated value: exact values, numbers, or text as-is.
+ * A parsed rounding policy with digits shows non-integer real values as rounded
+ * decimals (or exact ≈ decimal); integers are never padded (2, not 2.0), and
+ * exact-only policies keep the default display.
+ */
+function formatValueForDisplay(value, rounding = null) {
+  if (hasRoundingDigits(rounding) && typeof value !== 'string' && !window.MathUtils.isComplex(value)) {
+    const num = toNumber(value);
+    if (Number.isInteger(num)) return String(num);
+    if (isFinite(num)) {
+      const decimal = formatRoundedNumber(num, rounding);
+      if (!rounding.exact) return decimal;
+
+      const exactTex = stripMathDelimiters(formatValueForDisplay(value));
+      return `\\( ${exactTex} ${Number(decimal) === num ? '=' : '\\approx'} ${decimal} \\)`;
+    }
+  }
+
+  if (window.MathUtils.isExact(value)) return formatExactForDisplay(value);
+  return typeof value === 'number' ? formatNumberForDisplay(value) : String(value);
+}
+
 /* -----------------------------
-   Main Variable Generation
+   Rounding Policies
    ----------------------------- */
 
-function generateQuestionVariables(questionTemplate) {
-  const vars = {};
-  const displayVars = {};
-  const variableDefinitions = questionTemplate.variables || {};
+const ROUNDING_PLACES = {
+  'whole number': 0, whole: 0, integer: 0, one: 0,
+  tenth: 1, hundredth: 2, thousandth: 3, 'ten-thousandth': 4,
+};
+const DEFAULT_ROUNDING_DECIMALS = 2;
 
-  // Pass 1: Base variables
-  for (const [key, constraints] of Object.entries(variableDefinitions)) {
-    if (typeof constraints === 'number') {
-      vars[key] = constraints;
-      continue;
+/**
+ * Parse a "rounding" setting (template, variable, course or generation override):
+ *   "exact" / "exact only"                    → { exact: true }
+ *   "nearest hundredth", "2 decimal places"   → { decimals: 2 }
+ *   "3 significant figures", "3 sig figs"     → { sigFigs: 3 }
+ *   "exact and decimal", "exact and nearest tenth" → { exact: true, decimals: n }
+ * Objects of the parsed shape are accepted as-is. Returns null (with a warning
+ * for unrecognized text) when there is no policy.
+ */
+function parseRoundingPolicy(spec) {
+  if (spec === null || spec === undefined || spec === '') return null;
+
+  let policy = null;
+  if (typeof spec === 'object') {
+    policy = normalizeRoundingPolicy(spec);
+  } else {
+    const text = String(spec).trim().toLowerCase();
+    const exactAnd = text.match(/^exact and (.+)$/);
+    if (/^exact( only)?$/.test(text)) {
+      policy = { exact: true };
+    } else if (exactAnd) {
+      const decimal = exactAnd[1] === 'decimal' ? { decimals: DEFAULT_ROUNDING_DECIMALS } : parseDecimalRounding(exactAnd[1]);
+      policy = decimal && { exact: true, ...decimal };
+    } else {
+      policy = parseDecimalRounding(text);
     }
-    if (!constraints || constraints.formula) continue;
-    vars[key] = generateVariableValue(key, constraints, vars);
   }
 
-  // Pass 2: Formula variables
-  let formulaKeys = Object.keys(variableDefinitions).filter(k => variableDefinitions[k]?.formula);
-  let maxIterations = 20;
+  if (!policy) console.warn(`Unknown rounding policy ${JSON.stringify(spec)}`);
+  return policy;
+}
 
-  while (formulaKeys.length > 0 && maxIterations > 0) {
-    const resolved = [];
-    for (const key of formulaKeys) {
-      const constraints = variableDefinitions[key];
-      try {
-        const numericVars = { ...vars };
-        const rawResult = evaluateJSExpression(constraints.formula, numericVars);
-        const value = typeof rawResult === 'number' ? rawResult : Number(rawResult);
+function parseDecimalRounding(text) {
+  const nearest = text.match(/^(?:to the )?nearest (.+?)s?$/);
+  if (nearest && ROUNDING_PLACES[nearest[1]] !== undefined) return { decimals: ROUNDING_PLACES[nearest[1]] };
 
-        if (!Number.isNaN(value)) {
-          vars[key] = value;
-          resolved.push(key);
-        }
-      } catch (err) {
-        // skip
-      }
-    }
-    formulaKeys = formulaKeys.filter(k => !resolved.includes(k));
-    if (resolved.length === 0 && formulaKeys.length > 0) {
-      console.error(`Unresolved formulas: ${formulaKeys.join(', ')}`);
-      formulaKeys.forEach(k => {
-        vars[k] = NaN;
-        displayVars[k] = "NaN";
-      });
-      break;
-    }
-    maxIterations--;
+  const places = text.match(/^(\d+) (?:decimal places?|decimals?|dp)$/);
+  if (places) return { decimals: Number(places[1]) };
+
+  const figures = text.match(/^(\d+) (?:significant figures?|sig figs?|sf)$/);
+  if (figures && Number(figures[1]) > 0) return { sigFigs: Number(figures[1]) };
+
+  return null;
+}
+
+function normalizeRoundingPolicy(spec) {
+  const digits = (n) => Number.isInteger(n) && n >= 0;
+  const policy = {};
+  if (spec.exact) policy.exact = true;
+  if (digits(spec.decimals)) policy.decimals = spec.decimals;
+  else if (digits(spec.sigFigs) && spec.sigFigs > 0) policy.sigFigs = spec.sigFigs;
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+/**
+ * Instruction text for a policy: "Round to the nearest hundredth.", "Give an exact answer."
+ */
+function describeRoundingPolicy(policy) {
+  if (!policy) return '';
+
+  let decimal = '';
+  if (policy.sigFigs !== undefined) {
+    decimal = `${policy.sigFigs} significant figure${policy.sigFigs === 1 ? '' : 's'}`;
+  } else if (policy.decimals !== undefined) {
+    // First name listed for the place: "whole number", "tenth", ...
+    const place = Object.keys(ROUNDING_PLACES).find(name => ROUNDING_PLACES[name] === policy.decimals);
+    decimal = place ? `the nearest ${place}` : `${policy.decimals} decimal places`;
   }
 
-  if (maxIterations <= 0) {
-    console.error('Max iterations reached');
+  if (policy.exact) {
+    return decimal ? `Give an exact answer and a decimal rounded to ${decimal}.` : 'Give an exact answer.';
   }
+  return `Round to ${decimal}.`;
+}
+
+function hasRoundingDigits(policy) {
+  return Boolean(policy) && (policy.decimals !== undefined || policy.sigFigs !== undefined);
+}
+
+/**
+ * A number rounded per policy: 3.10 (decimals), 0.00123 or 1.23 \times 10^{8} (significant figures)
+ */
+function formatRoundedNumber(num, policy) {
+  const text = policy.decimals !== undefined ? num.toFixed(policy.decimals) : num.toPrecision(policy.sigFigs);
+  const [mantissa, exponent] = text.split('e');
+  const cleaned = /^-0(\.0*)?$/.test(mantissa) ? mantissa.slice(1) : mantissa;
+  return exponent ? `${cleaned} \\times 10^{${Number(exponent)}}` : cleaned;
+}
 
-  // Build display map
+/**
+ * Evaluate an expression exactly over an instance's variables (including their
+ * exact values in vars.__exact); returns null when it cannot be evaluated
+ */
+function evaluateExactValue(expression, vars) {
+  try {
+    return window.ExpressionEvaluator.evaluateExact(expression, { ...vars, ...(vars.__exact || {}) });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Rational variable display as bare TeX (\frac{n}{d}); place it inside math delimiters
+ */
+function formatRationalForDisplay(value) {
+  const frac = approximateFraction(value, 10000, 1e-9);
+  if (!frac) return formatNumberForDisplay(value);
+  if (frac.d === 1) return String(frac.n);
+  const sign = frac.n < 0 ? '-' : '';
+  return `${sign}\\frac{${Math.abs(frac.n)}}{${frac.d}}`;
+}
+
+/* -----------------------------
+   Main Variable Generation
+   ----------------------------- */
+
+const MAX_WHERE_ATTEMPTS = 200;
+
+/**
+ * Generate variable values for a template.
+ * options.random: PRNG to draw from (defaults to Math.random)
+ *
+ * Templates may list boolean expressions under "where" (or "require"), e.g.
+ * "where": ["isPerfectSquare(b*b - 4*a*c)", "r1 != -r2", "isInteger(answer)"]
+ * (answer is the template's answerExpression or distractors.answer). The whole
+ * variable set is resampled until every condition holds, up to template.maxAttempts
+ * tries; if that runs out the last sample is kept and the failing condition is
+ * reported in vars.__errors. Conditions that do not parse or name anything else
+ * are reported up front (analyzeConditions) and skipped.
+ *
+ * Formulas are evaluated with exact arithmetic; exact values are kept in
+ * vars.__exact and displayed as fractions or surds ("display": "mixed" for mixed numbers).
+ */
+function generateQuestionVariables(questionTemplate, options = {}) {
+  const random = options.random || Math.random;
+  const variableDefinitions = questionTemplate.variables || {};
+  const { conditions, errors: conditionErrors } = analyzeConditions(questionTemplate);
+  const maxAttempts = conditions.length > 0 ? (questionTemplate.maxAttempts || MAX_WHERE_ATTEMPTS) : 1;
+  const plan = analyzeFormulaDependencies(questionTemplate);
+  const errors = [...plan.errors, ...conditionErrors];
+  const failureCounts = {};
+
+  let sample;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    sample = sampleVariables(questionTemplate, plan, random);
+
+    const failure = findFailedCondition(conditions, sample.vars, questionTemplate);
+    if (!failure) break;
+
+    failureCounts[failure.condition] = (failureCounts[failure.condition] || 0) + 1;
+    if (attempt === maxAttempts) {
+      const [condition, count] = Object.entries(failureCounts).sort((a, b) => b[1] - a[1])[0];
+      const error = {
+        templateId: questionTemplate.id,
+        condition,
+        message: `Condition "${condition}" failed ${count} of ${maxAttempts} attempts` +
+          (failure.error ? ` (last error: ${failure.error})` : ''),
+        failures: failureCounts,
+      };
+      console.warn(`Template ${questionTemplate.id}: ${error.message}`);
+      errors.push(error);
+    }
+  }
+
+  const { vars, displayVars, exact } = sample;
+  const rounding = parseRoundingPolicy(options.rounding ?? questionTemplate.rounding ?? options.courseRounding);
+  sample.errors.forEach(error => console.error(error.message));
+  errors.push(...sample.errors);
+
+  // Build display map. Only variables with their own "rounding" are rounded here
+  // (generation override first); answers apply the policy when they are rendered.
+  const rounded = new Set();
   for (const [key, constraints] of Object.entries(variableDefinitions)) {
+    if (displayVars[key] !== undefined) continue;
+
     const numeric = vars[key];
-    if (constraints && constraints.formula) {
-      displayVars[key] = formatNumberForDisplay(numeric, constraints.formula, vars);
+    const hasOwnRounding = Boolean(constraints) && constraints.rounding !== undefined;
+    const variableRounding = hasOwnRounding && (options.rounding === undefined
+      ? parseRoundingPolicy(constraints.rounding)
+      : rounding);
+    if (hasOwnRounding && hasRoundingDigits(variableRounding)) {
+      displayVars[key] = formatValueForDisplay(exact[key] ?? numeric, variableRounding);
+      rounded.add(key);
+    } else if (exact[key] && constraints && (constraints.formula || constraints.display === 'mixed')) {
+      displayVars[key] = formatExactForDisplay(exact[key], constraints.display);
+    } else if (constraints && constraints.formula) {
+      displayVars[key] = formatNumberForDisplay(numeric);
+    } else if (constraints && constraints.rational) {
+      displayVars[key] = formatRationalForDisplay(numeric);
+    } else if (constraints && hasFixedDecimals(constraints) && typeof numeric === 'number') {
+      displayVars[key] = numeric.toFixed(getStepDecimals(constraints));
     } else if (constraints && constraints.display === 'math') {
       displayVars[key] = formatNumberForDisplay(numeric);
     } else {
@@ -311,6 +665,21 @@ function generateQuestionVariables(questionTemplate) {
     }
   }
 
+  // Unit variables keep a plain numeric value and display with their unit
+  const units = {};
+  for (const [key, constraints] of Object.entries(variableDefinitions)) {
+    if (!constraints || typeof constraints.unit !== 'string') continue;
+    units[key] = constraints.unit;
+    if (displayVars[key] === '') continue;
+
+    // Measurements read as decimals (0.04 m, not 1/25 m)
+    const numeric = vars[key];
+    const display = constraints.formula && !rounded.has(key) && typeof numeric === 'number' && !Number.isInteger(numeric)
+      ? cleanDecimal(numeric)
+      : displayVars[key];
+    displayVars[key] = appendUnitTex(display, constraints.unit);
+  }
+
   Object.defineProperty(vars, '__display', {
     value: displayVars,
     enumerable: false,
@@ -318,50 +687,720 @@ function generateQuestionVariables(questionTemplate) {
     writable: true,
   });
 
+  Object.defineProperty(vars, '__exact', {
+    value: exact,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+
+  Object.defineProperty(vars, '__units', {
+    value: units,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+
+  Object.defineProperty(vars, '__rounding', {
+    value: rounding,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+
+  Object.defineProperty(vars, '__errors', {
+    value: errors,
+    enumerable: false,
+    configurable: true,
+    writable: true,
+  });
+
   return vars;
 }
 
 /**
- * Replace {var} with display value if available
+ * Draw one full set of base and formula variables.
+ * Formulas are evaluated in dependency order from analyzeFormulaDependencies;
+ * failures become NaN and are returned as structured errors.
  */
-function replaceTemplateVariables(text, variables) {
-  if (!text || !variables) return text;
+function sampleVariables(questionTemplate, plan, random) {
+  const variableDefinitions = questionTemplate.variables || {};
+  const vars = {};
+  const displayVars = {};
+  const exact = {};
+  const errors = [];
 
-  const replacements = {};
-  const keys = Object.keys(variables).filter(k => k !== '__display');
+  // Pass 1: Base variables
+  for (const [key, constraints] of Object.entries(variableDefinitions)) {
+    if (typeof constraints === 'number') {
+      vars[key] = constraints;
+      continue;
+    }
+    if (!constraints || constraints.formula) continue;
+    vars[key] = generateVariableValue(key, constraints, vars, random);
+
+    // Fraction variables keep their exact value (1/3 is not a terminating decimal)
+    if (constraints.rational) {
+      const rational = window.MathUtils.Rational.approximate(vars[key]);
+      if (rational) exact[key] = rational;
+    }
 
-  for (const key of keys) {
-    const display = variables.__display?.[key];
-    replacements[key] = display !== undefined && display !== '' ? display : String(variables[key]);
+    // textValue variables are plain strings and display as-is
+    if (Array.isArray(constraints.textValue)) {
+      displayVars[key] = vars[key];
+    }
   }
 
-  const sorted = Object.entries(replacements).sort((a, b) => b[0].length - a[0].length);
+  // Pass 2: Formula variables, dependencies first
+  const failed = new Set(plan.invalid);
+  for (const key of plan.order) {
+    const formula = variableDefinitions[key].formula;
+
+    if (failed.has(key)) {
+      vars[key] = NaN;
+      continue;
+    }
 
-  let result = text;
-  for (const [key, value] of sorted) {
-    const regex = new RegExp(`\\{${escapeRegExp(key)}\\}`, "g");
-    result = result.replace(regex, value);
+    const failedDependency = plan.dependencies[key].find(dep => failed.has(dep));
+    if (failedDependency) {
+      failed.add(key);
+      vars[key] = NaN;
+      errors.push(createFormulaError(questionTemplate, key, 'dependency',
+        `depends on "${failedDependency}", which could not be computed`));
+      continue;
+    }
+
+    try {
+      const rawResult = window.ExpressionEvaluator.evaluateExact(formula, { ...vars, ...exact });
+      const value = typeof rawResult === 'number' ? rawResult : Number(rawResult);
+      vars[key] = value;
+      if (window.MathUtils.isExact(rawResult)) exact[key] = rawResult;
+
+      // Complex results have no plain value; they are used through vars.__exact
+      if (Number.isNaN(value) && !window.MathUtils.isComplex(rawResult)) {
+        failed.add(key);
+        errors.push(createFormulaError(questionTemplate, key, 'not-a-number',
+          `formula "${formula}" produced ${JSON.stringify(rawResult)}`));
+      }
+    } catch (err) {
+      failed.add(key);
+      vars[key] = NaN;
+      errors.push(createFormulaError(questionTemplate, key, 'evaluation',
+        `formula "${formula}" threw: ${err.message}`));
+    }
+  }
+
+  return { vars, displayVars, exact, errors };
+}
+
+const formulaPlanCache = new WeakMap();
+
+/**
+ * Work out the evaluation order of a template's formula variables from the names
+ * each formula references. Cycles and references to undefined variables are
+ * reported up front; those variables (listed in plan.invalid) are never evaluated.
+ */
+function analyzeFormulaDependencies(questionTemplate) {
+  const variableDefinitions = questionTemplate.variables || {};
+  if (formulaPlanCache.has(variableDefinitions)) {
+    return formulaPlanCache.get(variableDefinitions);
+  }
+
+  const formulaKeys = Object.keys(variableDefinitions).filter(k => variableDefinitions[k]?.formula);
+  const dependencies = {};
+  const invalid = new Set();
+  const errors = [];
+
+  for (const key of formulaKeys) {
+    const formula = String(variableDefinitions[key].formula);
+    dependencies[key] = [];
+
+    let identifiers;
+    try {
+      identifiers = window.ExpressionEvaluator.getIdentifiers(formula);
+    } catch (err) {
+      invalid.add(key);
+      errors.push(createFormulaError(questionTemplate, key, 'syntax', err.message));
+      continue;
+    }
+
+    for (const name of identifiers) {
+      if (name === key) {
+        invalid.add(key);
+        errors.push(createFormulaError(questionTemplate, key, 'cycle', `formula "${formula}" references itself`));
+      } else if (Object.prototype.hasOwnProperty.call(variableDefinitions, name)) {
+        if (variableDefinitions[name]?.formula) dependencies[key].push(name);
+      } else if (!window.ExpressionEvaluator.isKnownName(name)) {
+        invalid.add(key);
+        errors.push(createFormulaError(questionTemplate, key, 'undefined-reference',
+          `formula "${formula}" references undefined variable "${name}"`));
+      }
+    }
   }
 
-  return result;
+  // Depth-first topological sort; a back edge means a cycle
+  const order = [];
+  const state = {};
+  const visit = (key, path) => {
+    if (state[key] === 'done') return;
+    if (state[key] === 'visiting') {
+      const cycle = path.slice(path.indexOf(key));
+      cycle.forEach(k => invalid.add(k));
+      errors.push(createFormulaError(questionTemplate, key, 'cycle',
+        `circular formula dependency: ${[...cycle, key].join(' -> ')}`));
+      return;
+    }
+    state[key] = 'visiting';
+    dependencies[key].forEach(dep => visit(dep, [...path, key]));
+    state[key] = 'done';
+    order.push(key);
+  };
+  formulaKeys.forEach(key => visit(key, []));
+
+  errors.forEach(error => console.error(error.message));
+
+  const plan = { order, dependencies, invalid: Array.from(invalid), errors };
+  formulaPlanCache.set(variableDefinitions, plan);
+  return plan;
+}
+
+function createFormulaError(questionTemplate, variable, cause, detail) {
+  const templateId = questionTemplate.id || '(no id)';
+  return {
+    templateId,
+    variable,
+    cause,
+    message: `Template ${templateId}, variable "${variable}": ${detail}`,
+  };
 }
 
-function evaluateMathExpression(expression, variables) {
+/**
+ * Template-level conditions from "where" and its alias "require", checked up front:
+ * { conditions, errors } where conditions are the usable ones and errors cover
+ * conditions that do not parse or name something that is neither a variable, a
+ * helper nor (when the template has one) the answer
+ */
+function analyzeConditions(questionTemplate) {
+  const variableDefinitions = questionTemplate.variables || {};
+  const hasAnswer = Boolean(questionTemplate.answerExpression || questionTemplate.distractors?.answer);
+  const conditions = [];
+  const errors = [];
+
+  for (const field of ['where', 'require']) {
+    [].concat(questionTemplate[field] || []).forEach((condition, index) => {
+      if (typeof condition !== 'string' || condition.trim() === '') return;
+
+      let identifiers;
+      try {
+        identifiers = window.ExpressionEvaluator.getIdentifiers(condition);
+      } catch (err) {
+        errors.push(createConditionError(questionTemplate, field, index, 'syntax', err.message));
+        return;
+      }
+
+      const unknown = identifiers.find(name =>
+        !Object.prototype.hasOwnProperty.call(variableDefinitions, name) &&
+        !window.ExpressionEvaluator.isKnownName(name) &&
+        !(name === 'answer' && hasAnswer));
+      if (unknown) {
+        errors.push(createConditionError(questionTemplate, field, index, 'undefined-reference',
+          `condition "${condition}" references undefined name "${unknown}"`));
+        return;
+      }
+      conditions.push(condition);
+    });
+  }
+
+  errors.forEach(error => console.error(error.message));
+  return { conditions, errors };
+}
+
+function createConditionError(questionTemplate, field, index, cause, detail) {
+  const templateId = questionTemplate.id || '(no id)';
+  return {
+    templateId,
+    field,
+    index,
+    cause,
+    message: `Template ${templateId}, ${field}[${index}]: ${detail}`,
+  };
+}
+
+/**
+ * Return the first condition that does not hold (or throws), or null if all hold.
+ * answer is evaluated for the sample only when a condition names it.
+ */
+function findFailedCondition(conditions, vars, questionTemplate) {
+  const scope = { ...vars };
+  for (const condition of conditions) {
+    try {
+      const needsAnswer = window.ExpressionEvaluator.getIdentifiers(condition).includes('answer');
+      if (needsAnswer && !Object.prototype.hasOwnProperty.call(scope, 'answer')) {
+        scope.answer = evaluateConditionAnswer(questionTemplate, vars);
+      }
+      if (!evaluateExpression(condition, scope)) {
+        return { condition };
+      }
+    } catch (err) {
+      return { condition, error: err.message };
+    }
+  }
+  return null;
+}
+
+/**
+ * The answer of a sample as a number: answerExpression (math.js), else distractors.answer
+ */
+function evaluateConditionAnswer(questionTemplate, vars) {
+  if (questionTemplate.answerExpression) {
+    return window.AnswerEvaluator.evaluateNumber(questionTemplate.answerExpression, vars);
+  }
+  return toNumber(evaluateExpression(questionTemplate.distractors.answer, vars));
+}
+
+/* -----------------------------
+   Template Placeholders
+   ----------------------------- */
+
+/**
+ * Format pipes for placeholders such as {expr|frac} or {expr|round:2}.
+ * Each returns TeX without math delimiters; replaceTemplateVariables adds or
+ * strips \( \) depending on where the placeholder sits.
+ */
+const PLACEHOLDER_FORMATS = {
+  frac: (value) => (window.MathUtils.isExact(value) ? value.toTex() : formatAsFraction(toNumber(value))),
+  round: (value, places = '0') => toNumber(value).toFixed(Number(places)),
+  radical: (value) => {
+    if (window.MathUtils.isExact(value)) return value.toTex();
+    const num = toNumber(value);
+    if (Number.isInteger(num)) return String(num);
+    const radical = detectSimplifiedRadical(num);
+    return radical ? stripMathDelimiters(radical) : formatAsFraction(num);
+  },
+  sci: (value, digits = '3') => formatScientific(toNumber(value), Number(digits)),
+  mixed: (value) => (window.MathUtils.isExact(value) ? value.toMixedTex() : formatAsMixedNumber(toNumber(value))),
+  // Signs and coefficients for hand-written terms: x {b|sign}, {a|coef}x {b|signedCoef}y
+  sign: (value) => formatSignedTerm({ coefficient: toNumber(value), monomial: '' }),
+  coef: (value) => formatLeadingCoefficient(toNumber(value)),
+  signedCoef: (value) => {
+    const num = toNumber(value);
+    return `${num < 0 ? '-' : '+'} ${formatLeadingCoefficient(Math.abs(num))}`;
+  },
+  // {width * height * depth|unit:cm^3} → 120~\mathrm{cm}^{3}
+  unit: (value, unit = '') => appendUnitTex(typeof value === 'string' ? value : formatValueForDisplay(value), unit),
+};
+
+const NOT_A_PLACEHOLDER = Symbol('not-a-placeholder');
+const MONOMIAL_PATTERN = /^[A-Za-z\\][A-Za-z0-9\\^_()]*$/;
+
+/**
+ * Replace {placeholders} in question/answer text.
+ *
+ * A placeholder is a variable name ({a}) or an expression over the instance's
+ * variables ({width * height * depth}), optionally followed by format pipes
+ * ({a/b|frac}, {r*r*3.14159|round:2}). Brace groups that are not placeholders
+ * (TeX groups like {x} or {\circ}, or expressions naming no variable) are left as-is.
+ * options.rounding: parsed policy for answer text; non-integer numbers shown by
+ * placeholders are rounded, except as TeX arguments (exponents, radicands, \frac parts).
+ */
+function replaceTemplateVariables(text, variables, options = {}) {
+  if (!text || !variables || typeof text !== 'string') return text;
+
+  const mathRanges = findMathRanges(text);
+
+  return text.replace(/\{([^{}]+)\}/g, (match, body, offset) => {
+    const inMath = isInMathRange(mathRanges, offset);
+    const texArgument = inMath && isTexArgumentPosition(text, offset);
+    const rendered = renderPlaceholder(body, variables, texArgument ? null : options.rounding);
+    if (rendered === null) return match;
+
+    const value = fitToMathContext(rendered, inMath);
+    return texArgument ? `{${value}}` : value;
+  });
+}
+
+/**
+ * True when a brace group is the argument of ^, _, a \command or \sqrt[n],
+ * e.g. x^{a + b}; the braces must survive so 15 renders as x^{15}, not x^1 5.
+ */
+function isTexArgumentPosition(text, offset) {
+  const before = text.slice(0, offset).trimEnd();
+  return /(?:[\^_\]]|\\[a-zA-Z]+)$/.test(before);
+}
+
+/**
+ * Render one placeholder body, or return null when it is not a placeholder.
+ * rounding applies to plain numeric values (no pipes, no unit).
+ */
+function renderPlaceholder(body, variables, rounding = null) {
+  const [expressionText, ...pipeTexts] = splitPlaceholderPipes(body);
+  const expression = expressionText.trim();
+
+  const term = expression.match(/^(poly|signed)\s*:([\s\S]*)$/);
+  if (term) return renderTermPlaceholder(term[1], term[2], pipeTexts, variables, body);
+
+  if (expression === 'rounding' && !Object.prototype.hasOwnProperty.call(variables, 'rounding')) {
+    return describeRoundingPolicy(variables.__rounding);
+  }
+
+  const plusMinus = expression.match(/^pm\s*:([\s\S]*)$/);
+  if (plusMinus) return renderPlusMinusPlaceholder(plusMinus[1], pipeTexts, variables, body);
+
+  let value;
+  if (Object.prototype.hasOwnProperty.call(variables, expression)) {
+    const numeric = variables[expression];
+    const roundable = hasRoundingDigits(rounding) && typeof numeric === 'number' && !variables.__units?.[expression];
+    if (pipeTexts.length === 0 && roundable && !Number.isInteger(numeric)) {
+      return formatValueForDisplay(variables.__exact?.[expression] ?? numeric, rounding);
+    }
+    if (pipeTexts.length === 0) {
+      const display = variables.__display?.[expression];
+      return display !== undefined && display !== '' ? display : String(variables[expression]);
+    }
+    value = variables.__exact?.[expression] ?? variables[expression];
+  } else {
+    value = evaluatePlaceholderExpression(expression, variables, pipeTexts.length > 0, body);
+    if (value === NOT_A_PLACEHOLDER) return null;
+
+    if (pipeTexts.length === 0) return formatValueForDisplay(value, rounding);
+  }
+
+  for (const pipeText of pipeTexts) {
+    const [name, ...args] = pipeText.split(':').map(part => part.trim());
+    const format = PLACEHOLDER_FORMATS[name];
+    if (!format) {
+      console.warn(`Unknown placeholder format "${name}" in {${body}}`);
+      return null;
+    }
+    value = format(value, ...args);
+  }
+
+  return String(value);
+}
+
+/**
+ * Evaluate a placeholder expression over the instance's variables.
+ * Returns NOT_A_PLACEHOLDER for text that does not parse, names unknown variables,
+ * or (unless allowConstant) names no variable at all.
+ */
+function evaluatePlaceholderExpression(expression, variables, allowConstant, body) {
+  let compiled;
   try {
-    const numericVars = { ...variables };
-    delete numericVars.__display;
-    const result = evaluateJSExpression(expression, numericVars);
-    const num = typeof result === 'number' ? result : Number(result);
-    if (Number.isNaN(num)) return expression;
-    return formatNumberForDisplay(num);
+    compiled = window.ExpressionEvaluator.compile(expression);
   } catch (err) {
-    console.error("Eval error:", err);
-    return "Error";
+    return NOT_A_PLACEHOLDER;
+  }
+
+  const names = compiled.identifiers.filter(name => !window.ExpressionEvaluator.isKnownName(name));
+  if (!names.every(name => Object.prototype.hasOwnProperty.call(variables, name))) return NOT_A_PLACEHOLDER;
+  if (names.length === 0 && !allowConstant) return NOT_A_PLACEHOLDER;
+
+  try {
+    return compiled.evaluateExact({ ...variables, ...(variables.__exact || {}) });
+  } catch (err) {
+    console.warn(`Could not evaluate placeholder {${body}}: ${err.message}`);
+    return NOT_A_PLACEHOLDER;
+  }
+}
+
+/**
+ * Split "expr|fmt|fmt:arg" on single pipes, leaving the || operator intact
+ */
+function splitPlaceholderPipes(body) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '|' && body[i + 1] === '|') {
+      current += '||';
+      i++;
+    } else if (body[i] === '|') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += body[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Character ranges of inline/display math: \( \), \[ \] and $$ $$
+ */
+function findMathRanges(text) {
+  const ranges = [];
+  const regex = /\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]|\$\$([\s\S]*?)\$\$/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}
+
+function isInMathRange(ranges, offset) {
+  return ranges.some(([start, end]) => offset > start && offset < end);
+}
+
+/**
+ * Inside math, drop \( \) from a rendered value; outside, wrap TeX values in \( \)
+ */
+function fitToMathContext(rendered, inMath) {
+  if (inMath) return /\\\(/.test(rendered) ? stripMathDelimiters(rendered) : rendered;
+  if (rendered.includes('\\') && !/\\\(|\\\[/.test(rendered)) {
+    return `\\( ${rendered} \\)`;
   }
+  return rendered;
+}
+
+/**
+ * TeX for a unit such as cm^2, m/s^2 or kg m / s^2 (math.js formatUnits() output):
+ * \mathrm{cm}^{2}, \mathrm{m}/\mathrm{s}^{2}, \mathrm{kg} \cdot \mathrm{m}/\mathrm{s}^{2}
+ */
+function formatUnitTex(unit) {
+  const formatFactors = (text) => text
+    .replace(/[()]/g, ' ')
+    .split(/\s*\*\s*|\s+/)
+    .filter(Boolean)
+    .map(factor => {
+      const [name, power] = factor.split('^');
+      return power ? `\\mathrm{${name}}^{${power}}` : `\\mathrm{${name}}`;
+    })
+    .join(' \\cdot ');
+
+  const [numerator, ...denominators] = String(unit).split('/').map(formatFactors);
+  return [numerator, ...denominators.map(tex => (tex.includes('\\cdot') ? `(${tex})` : tex))].join('/');
+}
+
+/**
+ * Value TeX (with or without delimiters) followed by its unit: 5~\mathrm{cm}
+ */
+function appendUnitTex(valueTex, unit) {
+  const unitTex = formatUnitTex(unit);
+  return unitTex ? `${stripMathDelimiters(valueTex)}~${unitTex}` : valueTex;
+}
+
+function stripMathDelimiters(tex) {
+  return tex.replace(/\\\(|\\\)/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function toNumber(value) {
+  return typeof value === 'number' ? value : Number(value);
+}
+
+/**
+ * \frac{n}{d} for non-integers (exact when the value is a fraction with d <= 10000)
+ */
+function formatAsFraction(num) {
+  if (!isFinite(num)) return String(num);
+  if (Number.isInteger(num)) return String(num);
+  const frac = approximateFraction(num, 10000, 1e-9);
+  if (!frac) return cleanDecimal(num);
+  const sign = frac.n < 0 ? '-' : '';
+  return `${sign}\\frac{${Math.abs(frac.n)}}{${frac.d}}`;
+}
+
+/**
+ * Mixed number such as 2\frac{1}{3}; proper fractions stay \frac{1}{3}
+ */
+function formatAsMixedNumber(num) {
+  if (!isFinite(num)) return String(num);
+  const frac = approximateFraction(num, 10000, 1e-9);
+  if (!frac) return cleanDecimal(num);
+  if (frac.d === 1) return String(frac.n);
+
+  const sign = frac.n < 0 ? '-' : '';
+  const absN = Math.abs(frac.n);
+  const whole = Math.floor(absN / frac.d);
+  const remainder = absN % frac.d;
+  return `${sign}${whole === 0 ? '' : whole}\\frac{${remainder}}{${frac.d}}`;
+}
+
+/**
+ * Scientific notation with the given significant digits: 3.20 \times 10^{4}
+ */
+function formatScientific(num, digits = 3) {
+  if (!isFinite(num)) return String(num);
+  if (num === 0) return '0';
+
+  let exponent = Math.floor(Math.log10(Math.abs(num)));
+  let mantissa = Number((num / 10 ** exponent).toPrecision(digits));
+  if (Math.abs(mantissa) >= 10) {
+    exponent += 1;
+    mantissa = Number((num / 10 ** exponent).toPrecision(digits));
+  }
+  const mantissaText = mantissa.toPrecision(digits);
+  return exponent === 0 ? mantissaText : `${mantissaText} \\times 10^{${exponent}}`;
+}
+
+function cleanDecimal(num) {
+  const s = num.toFixed(8).replace(/\.?0+$/, '');
+  return s || '0';
+}
+
+/* -----------------------------
+   Polynomial Terms
+   ----------------------------- */
+
+/**
+ * {poly: a x^2, b x, c} → 2x^2 - x + 5 and {signed: b} → + 3 / - 3.
+ * Each term is a coefficient expression, optionally followed by a space and its
+ * variable part (no braces: x^2, xy). Zero terms are dropped, coefficients of 1
+ * are hidden and signs merged. {poly: ...|positive} factors a negative leading
+ * coefficient out: -(2x^2 + x - 5).
+ */
+function renderTermPlaceholder(kind, source, pipeTexts, variables, body) {
+  const options = pipeTexts.map(option => option.trim());
+  const unknown = options.filter(option => !(kind === 'poly' && option === 'positive'));
+  if (unknown.length > 0) {
+    console.warn(`Unknown ${kind} option "${unknown[0]}" in {${body}}`);
+    return null;
+  }
+
+  const termTexts = kind === 'poly' ? splitTermList(source) : [source];
+  const terms = termTexts.map(text => parseTerm(text, variables, body));
+  if (terms.some(term => term === null)) {
+    console.warn(`Could not evaluate term in {${body}}`);
+    return null;
+  }
+
+  return kind === 'poly'
+    ? formatPolynomial(terms, { positiveLead: options.includes('positive') })
+    : formatSignedTerm(terms[0]);
+}
+
+/**
+ * Split "a x^2, b x, c" on top-level commas (commas inside min(a, b) stay)
+ */
+function splitTermList(source) {
+  const terms = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of source) {
+    if (ch === '(' || ch === '[') depth++;
+    if (ch === ')' || ch === ']') depth--;
+    if (ch === ',' && depth === 0) {
+      terms.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  terms.push(current);
+  return terms.filter(term => term.trim() !== '');
+}
+
+/**
+ * "a x^2" → { coefficient: a, monomial: 'x^2' }; "c" → constant; "x^2" → coefficient 1
+ */
+function parseTerm(text, variables, body) {
+  const trimmed = text.trim();
+
+  const split = trimmed.match(/^(.*\S)\s+(\S+)$/);
+  if (split && MONOMIAL_PATTERN.test(split[2])) {
+    const coefficient = toCoefficient(evaluatePlaceholderExpression(split[1], variables, true, body));
+    if (coefficient !== null) return { coefficient, monomial: split[2] };
+  }
+
+  const constant = toCoefficient(evaluatePlaceholderExpression(trimmed, variables, true, body));
+  if (constant !== null) return { coefficient: constant, monomial: '' };
+
+  if (MONOMIAL_PATTERN.test(trimmed)) return { coefficient: 1, monomial: trimmed };
+  return null;
+}
+
+function toCoefficient(value) {
+  if (window.MathUtils.isExact(value)) return value.toNumber();
+  return typeof value === 'number' ? value : null;
+}
+
+function formatPolynomial(terms, options = {}) {
+  let visible = terms.filter(term => term.coefficient !== 0);
+  if (visible.length === 0) return '0';
+
+  const factorSign = options.positiveLead && visible.length > 1 && visible[0].coefficient < 0;
+  if (factorSign) {
+    visible = visible.map(term => ({ ...term, coefficient: -term.coefficient }));
+  }
+
+  const text = visible
+    .map((term, i) => {
+      const magnitude = formatTermMagnitude(term);
+      if (i === 0) return term.coefficient < 0 ? `-${magnitude}` : magnitude;
+      return `${term.coefficient < 0 ? '-' : '+'} ${magnitude}`;
+    })
+    .join(' ');
+
+  return factorSign ? `-(${text})` : text;
+}
+
+/**
+ * A term that follows other terms: "+ 3x", "- x", "" when the coefficient is 0
+ */
+function formatSignedTerm(term) {
+  if (term.coefficient === 0) return '';
+  return `${term.coefficient < 0 ? '-' : '+'} ${formatTermMagnitude(term)}`;
+}
+
+function formatTermMagnitude({ coefficient, monomial }) {
+  const abs = Math.abs(coefficient);
+  if (!monomial) return formatCoefficient(abs);
+  return abs === 1 ? monomial : `${formatCoefficient(abs)}${monomial}`;
+}
+
+/**
+ * Leading coefficient written before a variable: 1 → "", -1 → "-", 3 → "3"
+ */
+function formatLeadingCoefficient(num) {
+  if (num === 1) return '';
+  if (num === -1) return '-';
+  return num < 0 ? `-${formatCoefficient(-num)}` : formatCoefficient(num);
+}
+
+function formatCoefficient(num) {
+  return Number.isInteger(num) ? String(num) : formatAsFraction(num);
+}
+
+/* -----------------------------
+   ± Pairs
+   ----------------------------- */
+
+/**
+ * {pm: center, offset} → \frac{3 \pm 2\sqrt{5}}{4}, e.g. the quadratic formula as
+ * {pm: -b/(2*a), sqrt(b^2 - 4*a*c)/(2*a)}, or 3 \pm 2i when the discriminant is
+ * negative. A rational offset has no radical to keep together, so the pair is
+ * listed instead (2, 1); {pm: ...|list} always lists it.
+ */
+function renderPlusMinusPlaceholder(source, pipeTexts, variables, body) {
+  const options = pipeTexts.map(option => option.trim());
+  const unknown = options.filter(option => option !== 'list');
+  if (unknown.length > 0) {
+    console.warn(`Unknown pm option "${unknown[0]}" in {${body}}`);
+    return null;
+  }
+
+  const parts = splitTermList(source);
+  const values = parts.map(part => evaluatePlaceholderExpression(part, variables, true, body));
+  if (parts.length !== 2 || values.some(value => value === NOT_A_PLACEHOLDER)) {
+    console.warn(`{${body}} needs a center and an offset: {pm: center, offset}`);
+    return null;
+  }
+
+  const [center, offset] = values;
+  const irrational = window.MathUtils.isSurd(offset) || window.MathUtils.isComplex(offset);
+  const tex = options.includes('list') || !irrational
+    ? null
+    : window.MathUtils.plusMinusTex(center, offset);
+  if (tex !== null) return tex;
+
+  const { plus, minus } = window.MathUtils.plusMinus(center, offset);
+  if (toCoefficient(offset) === 0) return formatPairValue(plus);
+  const [first, second] = toCoefficient(minus) > toCoefficient(plus) ? [minus, plus] : [plus, minus];
+  return [first, second].map(formatPairValue).join(', ');
 }
 
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function formatPairValue(value) {
+  if (window.MathUtils.isExact(value)) return value.toTex();
+  return stripMathDelimiters(formatNumberForDisplay(toNumber(value)));
 }
 
 /* Export */
@@ -370,5 +1409,15 @@ window.QuestionUtils = {
   generateVariableValue,
   generateQuestionVariables,
   replaceTemplateVariables,
-  evaluateMathExpression,
+  formatNumberForDisplay,
+  formatValueForDisplay,
+  formatUnitTex,
+  parseRoundingPolicy,
+  analyzeFormulaDependencies,
+  analyzeConditions,
+  generateSeed,
+  deriveSeed,
+  createSeededRandom,
+  formatSeedToken,
+  parseSeedToken,
 };
@@ -0,0 +1,256 @@
+/**
+ * Health check: generate every template many times and report broken output
+ *
+ * Usage: node scripts/check-bank.js [manifest.json | bank.json] [--runs N] [--id ID] [--known-issues file]
+ *        [--problems-only] [--json]
+ *
+ * Each template is generated --runs times (default 200) with seeded randomness,
+ * through the same QuestionGenerator.generateQuestion the app uses (variables,
+ * question text, answers, choices and parts). A template is reported when a run
+ *   • records a generation error (formula, condition, answerExpression, choices, ...)
+ *   • has a NaN or ±Infinity variable (division by zero) or prints NaN, Infinity,
+ *     undefined or Error
+ *   • leaves a {placeholder} unrendered
+ *   • exhausts its exclude list ("Could not generate valid value ...") or logs
+ *     another generation warning
+ *   • throws, or produces no answer
+ * Every template's line shows how many distinct instances its runs produced.
+ * Templates listed under "check:bank" in src/data/bank_known_issues.json are
+ * printed as known (scripts/lib/known-issues.js).
+ * Exits with status 1 when a template that is not known has problems.
+ */
+
+import path from "node:path";
+import {
+  DEFAULT_BANK_PATH,
+  eachTemplate,
+  loadBrowserScripts,
+  parseArgs,
+  readBank
+} from "./lib/browser-env.js";
+import { DEFAULT_KNOWN_ISSUES_PATH, findStaleKnownIssues, readKnownIssues } from "./lib/known-issues.js";
+
+const DEFAULT_RUNS = 200;
+const LOW_VARIETY = 5;
+const PRINTED_FAILURES = [
+  { label: "prints NaN", pattern: /\bNaN\b/ },
+  { label: "prints Infinity", pattern: /\bInfinity\b/ },
+  { label: "prints undefined", pattern: /\bundefined\b/ },
+  { label: "prints Error", pattern: /\bError\b/ }
+];
+const TERM_PLACEHOLDER = /^\s*(?:poly|signed|pm)\s*:/;
+
+/* -----------------------------
+   One template
+   ----------------------------- */
+
+/**
+ * Generate a template runs times; returns { distinct, runs, problems: Map(label → { count, example }) }
+ */
+function checkTemplate(template, runs) {
+  const { QuestionGenerator, QuestionUtils } = window;
+  const problems = new Map();
+  const instances = new Set();
+  const note = (label, example) => {
+    const problem = problems.get(label) || { count: 0, example };
+    problem.count++;
+    problems.set(label, problem);
+  };
+
+  const originalWarn = console.warn;
+  const originalError = console.error;
+  let logged = [];
+  console.warn = (...args) => logged.push(args.map(String).join(" "));
+  console.error = (...args) => logged.push(args.map(String).join(" "));
+
+  try {
+    for (let i = 0; i < runs; i++) {
+      logged = [];
+      let question;
+      try {
+        question = QuestionGenerator.generateQuestion(template, {
+          random: QuestionUtils.createSeededRandom("CHECK", template.id, i),
+          shuffleChoices: true
+        });
+      } catch (error) {
+        note(`throws: ${error.message}`);
+        continue;
+      }
+
+      checkInstance(template, question, note);
+      // The generator also logs the errors it records; those are already counted
+      logged
+        .filter(message => !/^Template /.test(message))
+        .forEach(message => note(classifyLog(message), message));
+      instances.add(JSON.stringify(collectTexts(question)));
+    }
+  } finally {
+    console.warn = originalWarn;
+    console.error = originalError;
+  }
+
+  return { runs, distinct: instances.size, problems };
+}
+
+function checkInstance(template, question, note) {
+  const variableNames = Object.keys(template.variables || {});
+
+  for (const error of question.errors || []) {
+    note(`error: ${describeError(error)}`, error.message);
+  }
+
+  for (const [name, value] of Object.entries(question.variables || {})) {
+    if (typeof value !== "number") continue;
+    if (Number.isNaN(value) && !(question.variables.__exact && question.variables.__exact[name])) {
+      note(`variable "${name}" is NaN`);
+    } else if (!Number.isFinite(value) && !Number.isNaN(value)) {
+      note(`variable "${name}" is ${value} (division by zero)`);
+    }
+  }
+
+  if (question.answer === null || question.answer === undefined || question.answer === "") {
+    note("no answer");
+  }
+
+  for (const text of collectTexts(question)) {
+    for (const { label, pattern } of PRINTED_FAILURES) {
+      if (pattern.test(text)) note(label, text);
+    }
+    const leftover = findLeftoverPlaceholder(text, variableNames);
+    if (leftover) note(`leftover placeholder ${leftover}`, text);
+  }
+}
+
+/**
+ * Group an instance error by its kind, without the run-specific values
+ */
+function describeError(error) {
+  if (error.condition) return `condition "${error.condition}" never holds`;
+  if (error.variable) return `variable "${error.variable}" (${error.cause})`;
+  return `${error.field || "generation"} (${error.cause || "failed"})`;
+}
+
+function classifyLog(message) {
+  const exhausted = message.match(/Could not generate valid value for variable (\S+)/);
+  if (exhausted) return `exclude exhausted for "${exhausted[1]}"`;
+  return `warning: ${message.replace(/\d+(\.\d+)?/g, "#").slice(0, 120)}`;
+}
+
+/**
+ * Everything a student or teacher sees for an instance
+ */
+function collectTexts(item) {
+  const texts = [];
+  const add = text => {
+    if (typeof text === "string") texts.push(text);
+  };
+
+  add(item.questionText);
+  if (item.answer !== undefined && item.answer !== null) add(String(item.answer));
+  add(item.statement);
+  (item.choices || []).forEach(choice => add(choice.text));
+  (item.blanks || []).forEach(add);
+  (item.items || []).forEach(entry => add(entry && entry.text));
+  if (item.matching) {
+    item.matching.prompts.forEach(prompt => add(prompt.text));
+    item.matching.matches.forEach(match => add(match.text));
+  }
+  (item.parts || []).forEach(part => texts.push(...collectTexts(part)));
+  return texts;
+}
+
+/**
+ * A brace group that survived rendering although it uses a format pipe, is a
+ * {poly: ...}/{signed: ...}/{pm: ...} term, or reads a variable outside a TeX
+ * argument (\frac{x - 2}{5} is TeX, a lone {x - 2} is a placeholder).
+ * Run-specific numbers are replaced by # so the runs group together.
+ */
+function findLeftoverPlaceholder(text, variableNames) {
+  for (const match of text.matchAll(/\{([^{}]+)\}/g)) {
+    const body = match[1];
+    const leftover = match[0].replace(/\d+(\.\d+)?/g, "#");
+    if (TERM_PLACEHOLDER.test(body) || /(?<!\|)\|(?!\|)/.test(body)) return leftover;
+    if (isTexArgument(text, match.index)) continue;
+
+    const names = body.match(/[A-Za-z_]\w*/g) || [];
+    if (names.some(name => variableNames.includes(name))) return leftover;
+  }
+  return null;
+}
+
+function isTexArgument(text, offset) {
+  return /(?:[\^_\]}]|\\[a-zA-Z]+)\s*$/.test(text.slice(0, offset));
+}
+
+/* -----------------------------
+   Command
+   ----------------------------- */
+
+function checkBank(bank, runs, id) {
+  const results = [];
+  for (const { course, chapter, template } of eachTemplate(bank)) {
+    if (!template || (id && template.id !== id)) continue;
+    const hasVariables = Object.keys(template.variables || {}).length > 0;
+    results.push({ id: template.id, course, chapter, hasVariables, ...checkTemplate(template, runs) });
+  }
+  return results;
+}
+
+/**
+ * Mark results listed in known with known: reason; returns the known ids whose
+ * template was checked but has no problems
+ */
+function applyKnownIssues(results, known) {
+  for (const result of results) {
+    if (result.problems.size > 0 && known.has(result.id)) result.known = known.get(result.id);
+  }
+  const reported = results.filter(result => result.problems.size > 0).map(result => result.id);
+  return findStaleKnownIssues(known, reported, results.map(result => result.id));
+}
+
+function printResults(results, stale, problemsOnly, knownFile) {
+  for (const { id, runs, distinct, problems, hasVariables, known } of results) {
+    const lowVariety = hasVariables && distinct < Math.min(LOW_VARIETY, runs);
+    if (problemsOnly && problems.size === 0 && !lowVariety) continue;
+
+    const marker = problems.size > 0 ? "✘" : lowVariety ? "⚠" : "✔";
+    const notes = [lowVariety && "low variety", known && `known: ${known}`].filter(Boolean);
+    console.log(`${marker} ${id}: ${distinct} distinct of ${runs} runs${notes.length ? ` (${notes.join("; ")})` : ""}`);
+    for (const [label, { count, example }] of problems) {
+      console.log(`    ${label} — ${count} of ${runs} runs`);
+      if (example && example !== label) console.log(`      e.g. ${example.replace(/\s+/g, " ").slice(0, 160)}`);
+    }
+  }
+  for (const id of stale) {
+    console.log(`⚠ ${id}: listed in ${path.relative(process.cwd(), knownFile)} but has no problems; remove the entry`);
+  }
+
+  const broken = results.filter(result => result.problems.size > 0);
+  const knownCount = broken.filter(result => result.known).length;
+  console.log(`\n${broken.length} of ${results.length} templates have problems${knownCount ? ` (${knownCount} known)` : ""}`);
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), ["json", "problems-only"]);
+  const bankFile = path.resolve(positional[0] || DEFAULT_BANK_PATH);
+  const knownFile = path.resolve(options["known-issues"] || DEFAULT_KNOWN_ISSUES_PATH);
+  const runs = Number(options.runs) || DEFAULT_RUNS;
+
+  loadBrowserScripts();
+  const bank = readBank(bankFile);
+  const results = checkBank(bank, runs, options.id);
+  const stale = applyKnownIssues(results, readKnownIssues("check:bank", knownFile));
+
+  if (options.json) {
+    const serializable = results.map(result => ({
+      ...result,
+      problems: Array.from(result.problems, ([label, problem]) => ({ label, ...problem }))
+    }));
+    console.log(JSON.stringify(serializable, null, 2));
+  } else {
+    printResults(results, stale, Boolean(options["problems-only"]), knownFile);
+  }
+  if (results.some(result => result.problems.size > 0 && !result.known)) process.exitCode = 1;
+}
+
+main();
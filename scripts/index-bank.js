@@ -0,0 +1,51 @@
+/**
+ * Build the question bank index the app loads at startup
+ *
+ * Usage: node scripts/index-bank.js [manifest.json] [--check]
+ *
+ * For every bank file the manifest lists, the index holds the file's courses and
+ * chapters with each chapter summarized as { ids, objectives: { objective:
+ * [difficulty, ...] }, tags } (QuestionGenerator.createBankIndex), plus course
+ * settings. The app fills its course, chapter, objective and difficulty dropdowns
+ * from it and fetches a course's files only when the course is selected.
+ * Writes the file named by the manifest's "index"; --check only reports whether
+ * it is up to date (exit status 1 when not). Run after editing any bank file.
+ */
+
+import path from "node:path";
+import { DEFAULT_BANK_PATH, parseArgs, writeBank } from "./lib/browser-env.js";
+import { buildBankIndex, isBankIndexCurrent } from "./lib/bank-index.js";
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), ["check"]);
+  const manifestFile = path.resolve(positional[0] || DEFAULT_BANK_PATH);
+  const built = buildBankIndex(manifestFile);
+  if (!built) {
+    console.error(`✘ ${path.relative(process.cwd(), manifestFile)} is not a manifest with an "index" entry`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { file, index } = built;
+  const relative = path.relative(process.cwd(), file);
+
+  const templateCount = Object.values(index.banks)
+    .flatMap(bank => Object.values(bank))
+    .flatMap(course => Object.values(course))
+    .reduce((count, chapter) => count + (Array.isArray(chapter.ids) ? chapter.ids.length : 0), 0);
+
+  if (options.check) {
+    if (isBankIndexCurrent(file, index)) {
+      console.log(`✔ ${relative} is up to date (${templateCount} templates)`);
+    } else {
+      console.log(`✘ ${relative} is out of date; run npm run index:bank`);
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  writeBank(file, index);
+  console.log(`✔ ${relative}: ${templateCount} templates in ${Object.keys(index.banks).length} bank files`);
+}
+
+main();
@@ -0,0 +1,29 @@
+/**
+ * Build and check the question bank index (see scripts/index-bank.js)
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { loadBrowserScripts, readBankSources, readManifest } from "./browser-env.js";
+
+/**
+ * The index for a manifest as { file, index }, or null when the manifest names no index
+ */
+export function buildBankIndex(manifestFile) {
+  const manifest = readManifest(manifestFile);
+  if (!manifest || !manifest.index) return null;
+
+  loadBrowserScripts();
+  return {
+    file: path.resolve(path.dirname(manifestFile), manifest.index),
+    index: window.QuestionGenerator.createBankIndex(readBankSources(manifestFile))
+  };
+}
+
+/**
+ * True when the index file on disk matches the bank files
+ */
+export function isBankIndexCurrent(file, index) {
+  if (!fs.existsSync(file)) return false;
+  return JSON.stringify(JSON.parse(fs.readFileSync(file, "utf8"))) === JSON.stringify(index);
+}
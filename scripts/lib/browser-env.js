@@ -0,0 +1,145 @@
+/**
+ * Load the app's browser scripts into Node for the bank maintenance commands
+ *
+ * The scripts in js/ attach their APIs to window (window.QuestionUtils,
+ * window.QuestionGenerator, ...). Here window is the Node global, math.js comes
+ * from node_modules, and each script runs in this realm in index.html order.
+ * The default bank is the manifest src/data/question_banks.json, whose per-course
+ * files readBank reads as one bank.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { fileURLToPath } from "node:url";
+import * as math from "mathjs";
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+export const DEFAULT_BANK_PATH = path.join(ROOT_DIR, "src/data/question_banks.json");
+
+const BROWSER_SCRIPTS = [
+  "js/utils/math-utils.js",
+  "js/utils/question-utils.js",
+  "js/utils/expression-evaluator.js",
+  "js/utils/answer-evaluator.js",
+  "js/utils/latex-validator.js",
+  "js/core/distractor-generator.js",
+  "js/core/question-generator.js"
+];
+
+let loaded = null;
+
+/**
+ * Load the browser scripts once and return window
+ */
+export function loadBrowserScripts() {
+  if (loaded) return loaded;
+
+  globalThis.window = globalThis;
+  globalThis.math = math;
+
+  for (const file of BROWSER_SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+    vm.runInThisContext(source, { filename: file });
+  }
+
+  loaded = globalThis.window;
+  return loaded;
+}
+
+/**
+ * Read a manifest ({ "banks": [file, ...], "index": file }, paths relative to it);
+ * returns null when the file is a bank rather than a manifest
+ */
+export function readManifest(file = DEFAULT_BANK_PATH) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data.banks) ? data : null;
+}
+
+/**
+ * The bank files behind a manifest or a single bank file, as [{ name, file, bank }]
+ * (name as the manifest lists it, file resolved)
+ */
+export function readBankSources(file = DEFAULT_BANK_PATH) {
+  const manifest = readManifest(file);
+  if (!manifest) {
+    return [{ name: path.basename(file), file, bank: JSON.parse(fs.readFileSync(file, "utf8")) }];
+  }
+  return manifest.banks.map(name => {
+    const bankFile = path.resolve(path.dirname(file), name);
+    return { name, file: bankFile, bank: JSON.parse(fs.readFileSync(bankFile, "utf8")) };
+  });
+}
+
+/**
+ * Read a question bank: a bank file, or the bank files of a manifest combined by
+ * course and chapter. Nothing is dropped, so ids repeated across files stay visible.
+ */
+export function readBank(file = DEFAULT_BANK_PATH) {
+  const sources = readBankSources(file);
+  if (sources.length === 1) return sources[0].bank;
+
+  const combined = {};
+  for (const { bank } of sources) {
+    for (const [course, chapters] of Object.entries(bank || {})) {
+      const target = combined[course] || (combined[course] = {});
+      for (const [chapter, value] of Object.entries(chapters || {})) {
+        const existing = target[chapter];
+        if (existing === undefined) target[chapter] = value;
+        else if (Array.isArray(existing) && Array.isArray(value)) target[chapter] = [...existing, ...value];
+        else if (isPlainObject(existing) && isPlainObject(value)) target[chapter] = { ...value, ...existing };
+      }
+    }
+  }
+  return combined;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Write a question bank JSON file in the repo's formatting (2-space indent)
+ */
+export function writeBank(file, bank) {
+  fs.writeFileSync(file, JSON.stringify(bank, null, 2) + "\n");
+}
+
+/**
+ * Visit every template as { course, chapter, template }
+ */
+export function* eachTemplate(bank) {
+  for (const [course, chapters] of Object.entries(bank || {})) {
+    for (const [chapter, templates] of Object.entries(chapters || {})) {
+      if (!Array.isArray(templates)) continue;
+      for (const template of templates) {
+        yield { course, chapter, template };
+      }
+    }
+  }
+}
+
+/**
+ * Split argv into positional arguments and --name value / --name=value options.
+ * Names listed in booleanFlags never take a value.
+ */
+export function parseArgs(argv, booleanFlags = []) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split("=");
+    if (inline !== undefined) {
+      options[name] = inline;
+    } else if (!booleanFlags.includes(name) && argv[i + 1] !== undefined && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return { positional, options };
+}
@@ -0,0 +1,181 @@
+/**
+ * Minimal JSON Schema (draft-07) validator for the question bank schema
+ *
+ * Supports the keywords src/data/question_bank.schema.json uses: $ref to
+ * #/definitions/..., type (including "integer"), enum, const, properties,
+ * required, additionalProperties, items, minItems, minLength, minimum,
+ * exclusiveMinimum and anyOf. Each violation is { path, keyword, message },
+ * with path an array of keys and indexes from the root.
+ */
+
+const MAX_LISTED_VALUES = 8;
+
+/**
+ * Validate a value against a schema; returns a list of violations
+ */
+export function validateSchema(schema, value) {
+  const issues = [];
+  check(schema, value, [], schema, issues);
+  return issues;
+}
+
+function resolve(schema, root) {
+  let resolved = schema;
+  while (resolved && resolved.$ref) {
+    const segments = resolved.$ref.replace(/^#\//, "").split("/");
+    resolved = segments.reduce((node, key) => (node ? node[key] : undefined), root);
+    if (!resolved) throw new Error(`Unresolved schema reference ${schema.$ref}`);
+  }
+  return resolved;
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  return [].concat(expected).some(type => type === actual || (type === "number" && actual === "integer"));
+}
+
+function check(schemaNode, value, path, root, issues) {
+  const schema = resolve(schemaNode, root);
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.anyOf) {
+    checkAnyOf(schema.anyOf, value, path, root, issues);
+    return;
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    issues.push({ path, keyword: "type", message: `must be ${[].concat(schema.type).join(" or ")}, not ${typeOf(value)}` });
+    return;
+  }
+
+  if ("const" in schema && value !== schema.const) {
+    issues.push({ path, keyword: "const", message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, keyword: "enum", message: describeEnumMismatch(schema.enum, value) });
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+    issues.push({ path, keyword: "minLength", message: "must not be empty" });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      issues.push({ path, keyword: "minimum", message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      issues.push({ path, keyword: "exclusiveMinimum", message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      issues.push({ path, keyword: "minItems", message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, [...path, index], root, issues));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    checkObject(schema, value, path, root, issues);
+  }
+}
+
+function checkObject(schema, value, path, root, issues) {
+  const properties = schema.properties || {};
+
+  for (const key of schema.required || []) {
+    if (!(key in value)) {
+      issues.push({ path, keyword: "required", message: `missing required key "${key}"` });
+    }
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (Object.prototype.hasOwnProperty.call(properties, key)) {
+      check(properties[key], item, [...path, key], root, issues);
+    } else if (schema.additionalProperties === false) {
+      const suggestion = suggest(key, Object.keys(properties));
+      issues.push({
+        path: [...path, key],
+        keyword: "additionalProperties",
+        message: `unknown key "${key}"${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`
+      });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+      check(schema.additionalProperties, item, [...path, key], root, issues);
+    }
+  }
+}
+
+/**
+ * anyOf: when exactly one branch accepts the value's type, report that branch's
+ * violations (they point at the real mistake); otherwise report a single mismatch
+ */
+function checkAnyOf(branches, value, path, root, issues) {
+  const results = branches.map(branch => {
+    const branchIssues = [];
+    check(branch, value, path, root, branchIssues);
+    return { branch: resolve(branch, root), issues: branchIssues };
+  });
+  if (results.some(result => result.issues.length === 0)) return;
+
+  const typed = results.filter(result => !result.branch.type || matchesType(result.branch.type, value));
+  if (typed.length === 1) {
+    issues.push(...typed[0].issues);
+  } else {
+    issues.push({ path, keyword: "anyOf", message: `${JSON.stringify(value)} does not match any allowed form` });
+  }
+}
+
+function describeEnumMismatch(allowed, value) {
+  const suggestion = typeof value === "string" ? suggest(value, allowed.filter(item => typeof item === "string")) : null;
+  const hint = suggestion ? ` (did you mean "${suggestion}"?)` : "";
+  if (allowed.length <= MAX_LISTED_VALUES) {
+    return `${JSON.stringify(value)} is not allowed${hint}; use one of ${allowed.map(item => JSON.stringify(item)).join(", ")}`;
+  }
+  return `${JSON.stringify(value)} is not one of the ${allowed.length} supported values${hint}`;
+}
+
+/**
+ * Closest candidate differing only in case or by at most two edits
+ */
+function suggest(text, candidates) {
+  const lower = text.toLowerCase();
+  const sameCase = candidates.find(candidate => candidate.toLowerCase() === lower);
+  if (sameCase) return sameCase;
+
+  let best = null;
+  let bestDistance = 3;
+  for (const candidate of candidates) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
@@ -0,0 +1,34 @@
+/**
+ * Known bank problems that lint:bank and check:bank report without failing
+ *
+ * src/data/bank_known_issues.json has one section per command, each mapping a
+ * key to the reason the problem is left in the bank: lint:bank keys are
+ * "<template id> <path>" as its issues print, check:bank keys are template ids.
+ * Known problems are still printed, marked known; a key whose template is checked
+ * but no longer reports that problem is a warning, so the list shrinks as
+ * templates are fixed.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { ROOT_DIR } from "./browser-env.js";
+
+export const DEFAULT_KNOWN_ISSUES_PATH = path.join(ROOT_DIR, "src/data/bank_known_issues.json");
+
+/**
+ * The section of a known issues file as Map(key → reason)
+ */
+export function readKnownIssues(section, file = DEFAULT_KNOWN_ISSUES_PATH) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return new Map(Object.entries(data[section] || {}));
+}
+
+/**
+ * Keys of known whose template id is in checkedIds but that match none of the
+ * reported keys
+ */
+export function findStaleKnownIssues(known, reportedKeys, checkedIds) {
+  const reported = new Set(reportedKeys);
+  const checked = new Set(checkedIds);
+  return [...known.keys()].filter(key => checked.has(key.split(" ")[0]) && !reported.has(key));
+}
@@ -0,0 +1,457 @@
+/**
+ * Lint the question bank
+ *
+ * Usage: node scripts/lint-bank.js [manifest.json | bank.json] [--schema file] [--known-issues file] [--json]
+ *
+ * Checks every template against src/data/question_bank.schema.json (misspelled
+ * difficulties, unsupported draw values, wrong types; unknown keys such as
+ * shwGraphInQuestion are warnings with a suggestion), then the rules a schema
+ * cannot express:
+ *   errors:   duplicate ids, exclude entries naming no variable, control characters
+ *             (a JSON "\f" where "\\frac" was meant), formula syntax errors, cycles and
+ *             undefined references, where/require conditions that do not parse or
+ *             name unknown names, unrecognized rounding policies
+ *   warnings: {placeholders} naming no variable, variables never used
+ * and the TeX of a few generated samples (LatexValidator): unbalanced braces and
+ * math delimiters are errors, unknown macros and math commands outside math mode
+ * are warnings. For a manifest, the bank files are linted together (ids repeated
+ * across files are duplicates) and a stale index is an error.
+ * Each issue is reported with the template id and the path inside the template.
+ * Issues listed under "lint:bank" in src/data/bank_known_issues.json by
+ * "<id> <path>" are printed as known (scripts/lib/known-issues.js).
+ * Exits with status 1 when there are errors that are not known.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import {
+  DEFAULT_BANK_PATH,
+  ROOT_DIR,
+  eachTemplate,
+  loadBrowserScripts,
+  parseArgs,
+  readBank
+} from "./lib/browser-env.js";
+import { buildBankIndex, isBankIndexCurrent } from "./lib/bank-index.js";
+import { validateSchema } from "./lib/json-schema.js";
+import { DEFAULT_KNOWN_ISSUES_PATH, findStaleKnownIssues, readKnownIssues } from "./lib/known-issues.js";
+
+const DEFAULT_SCHEMA_PATH = path.join(ROOT_DIR, "src/data/question_bank.schema.json");
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+const TERM_PLACEHOLDER = /^(?:poly|signed|pm)\s*:([\s\S]*)$/;
+const IDENTIFIER_PATTERN = /[A-Za-z_]\w*/g;
+const CONTROL_CHARACTERS = {
+  "\b": "a backspace (\"\\b\", as in \\beta)",
+  "\f": "a form feed (\"\\f\", as in \\frac)",
+  "\r": "a carriage return (\"\\r\", as in \\right)",
+  "\t": "a tab (\"\\t\", as in \\times or \\theta)",
+  "\v": "a vertical tab (\"\\v\", as in \\vec)"
+};
+
+/* -----------------------------
+   Issues
+   ----------------------------- */
+
+function createIssue(severity, id, issuePath, message) {
+  return { severity, id, path: formatPath(issuePath), message };
+}
+
+/**
+ * ["variables", "a", "exclude", 0] → variables.a.exclude[0]
+ */
+function formatPath(segments) {
+  return segments.reduce((text, segment) => {
+    if (typeof segment === "number") return `${text}[${segment}]`;
+    return text ? `${text}.${segment}` : String(segment);
+  }, "");
+}
+
+/* -----------------------------
+   Schema
+   ----------------------------- */
+
+/**
+ * Schema violations, attributed to the template they fall in
+ */
+function lintSchema(bank, schema) {
+  return validateSchema(schema, bank).map(({ path: issuePath, keyword, message }) => {
+    const [course, chapter, index, ...rest] = issuePath;
+    const template = typeof index === "number" ? bank[course][chapter][index] : null;
+    const severity = keyword === "additionalProperties" ? "warning" : "error";
+
+    if (!template) {
+      return createIssue(severity, "(bank)", issuePath, message);
+    }
+    const id = typeof template.id === "string" && template.id ? template.id : `${course} › ${chapter}[${index}]`;
+    return createIssue(severity, id, rest, message);
+  });
+}
+
+/* -----------------------------
+   Template rules
+   ----------------------------- */
+
+function lintDuplicateIds(bank) {
+  const issues = [];
+  const seen = new Map();
+  for (const { course, chapter, template } of eachTemplate(bank)) {
+    if (!template || typeof template.id !== "string") continue;
+    const location = `${course} › ${chapter}`;
+    if (seen.has(template.id)) {
+      issues.push(createIssue("error", template.id, ["id"], `duplicate id (also in ${seen.get(template.id)})`));
+    } else {
+      seen.set(template.id, location);
+    }
+  }
+  return issues;
+}
+
+function lintTemplate(template) {
+  const issues = [];
+  const report = (severity, issuePath, message) => issues.push(createIssue(severity, template.id, issuePath, message));
+  const variables = template.variables && typeof template.variables === "object" ? template.variables : {};
+
+  lintControlCharacters(template, [], report);
+  lintExcludes(variables, report);
+  lintFormulas(template, report);
+  lintRounding(template, report);
+
+  const used = lintPlaceholders(template, variables, report);
+  collectExpressionNames(template, variables).forEach(name => used.add(name));
+  lintUnusedVariables(template, variables, used, report);
+  lintLatex(template, report);
+
+  return issues;
+}
+
+/**
+ * Control characters in any string; a newline is only suspicious before a letter (\neq, \nu)
+ */
+function lintControlCharacters(value, valuePath, report) {
+  if (typeof value === "string") {
+    for (const [character, description] of Object.entries(CONTROL_CHARACTERS)) {
+      if (value.includes(character)) {
+        report("error", valuePath, `contains ${description}; escape the backslash in JSON ("\\\\")`);
+      }
+    }
+    if (/\n[a-z]/.test(value)) {
+      report("warning", valuePath, "contains a newline before a letter (\"\\n\", as in \\neq); escape the backslash if a TeX command was meant");
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => lintControlCharacters(item, [...valuePath, index], report));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([key, item]) => lintControlCharacters(item, [...valuePath, key], report));
+  }
+}
+
+/**
+ * String exclusions must name another variable (or be a number written as text)
+ */
+function lintExcludes(variables, report) {
+  for (const [name, spec] of Object.entries(variables)) {
+    if (!spec || !Array.isArray(spec.exclude)) continue;
+    spec.exclude.forEach((entry, index) => {
+      if (typeof entry !== "string" || Object.prototype.hasOwnProperty.call(variables, entry)) return;
+      if (entry.trim() !== "" && !Number.isNaN(Number(entry))) return;
+      report("error", ["variables", name, "exclude", index],
+        `"${entry}" is not a variable of this template, so nothing is excluded`);
+    });
+  }
+}
+
+/**
+ * Run fn with console.warn and console.error muted: the generation warnings and
+ * formula errors it logs are reported as lint issues instead
+ */
+function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+    console.error = error;
+  }
+}
+
+function lintFormulas(template, report) {
+  const plan = quietly(() => window.QuestionUtils.analyzeFormulaDependencies(template));
+  for (const error of plan.errors) {
+    const detail = error.message.replace(/^Template [^,]*, variable "[^"]*": /, "");
+    report("error", ["variables", error.variable, "formula"], detail);
+  }
+
+  for (const error of quietly(() => window.QuestionUtils.analyzeConditions(template)).errors) {
+    report("error", [error.field, error.index], error.message.replace(/^Template [^,]*, [a-z]+\[\d+\]: /, ""));
+  }
+}
+
+function lintRounding(template, report) {
+  const check = (spec, specPath) => {
+    if (typeof spec === "string" && !quietly(() => window.QuestionUtils.parseRoundingPolicy(spec))) {
+      report("error", specPath, `unrecognized rounding policy "${spec}"`);
+    }
+  };
+
+  check(template.rounding, ["rounding"]);
+  for (const [name, spec] of Object.entries(template.variables || {})) {
+    if (spec && typeof spec === "object") check(spec.rounding, ["variables", name, "rounding"]);
+  }
+}
+
+/**
+ * TeX problems in sample instances, reported at the instance field they appear in
+ */
+function lintLatex(template, report) {
+  for (const { severity, message, path: issuePath } of quietly(() => window.LatexValidator.validateTemplate(template))) {
+    report(severity, issuePath, `TeX: ${message}`);
+  }
+}
+
+/**
+ * Every text field with {placeholders}, with its path and any names it may use
+ * besides variables ({value} in a distractors text)
+ */
+function* eachText(item, itemPath = []) {
+  const fields = ["question", "answer"];
+  for (const field of fields) {
+    if (typeof item[field] === "string") yield { text: item[field], path: [...itemPath, field] };
+  }
+
+  const lists = {
+    choices: item.choices,
+    blanks: item.blanks,
+    "statements.true": item.statements && [].concat(item.statements.true ?? []),
+    "statements.false": item.statements && [].concat(item.statements.false ?? [])
+  };
+  for (const [field, list] of Object.entries(lists)) {
+    if (!Array.isArray(list)) continue;
+    for (const [index, text] of list.entries()) {
+      if (typeof text === "string") yield { text, path: [...itemPath, ...field.split("."), index] };
+    }
+  }
+
+  if (item.distractors && typeof item.distractors.text === "string") {
+    yield { text: item.distractors.text, path: [...itemPath, "distractors", "text"], extraNames: ["value"] };
+  }
+  for (const [index, pair] of (Array.isArray(item.pairs) ? item.pairs : []).entries()) {
+    for (const field of ["prompt", "match"]) {
+      if (pair && typeof pair[field] === "string") yield { text: pair[field], path: [...itemPath, "pairs", index, field] };
+    }
+  }
+  for (const [index, entry] of (Array.isArray(item.items) ? item.items : []).entries()) {
+    if (typeof entry === "string") yield { text: entry, path: [...itemPath, "items", index] };
+    else if (entry && typeof entry.text === "string") yield { text: entry.text, path: [...itemPath, "items", index, "text"] };
+  }
+
+  if (itemPath.length === 0 && Array.isArray(item.parts)) {
+    for (const [index, part] of item.parts.entries()) {
+      if (part && typeof part === "object") yield* eachText(part, ["parts", index]);
+    }
+  }
+}
+
+/**
+ * Warn about {placeholders} that name no variable and return the variables placeholders use.
+ * A brace group whose names are all unknown is only reported outside TeX argument positions
+ * (x^{n}, \frac{a}{b} and \text{area} are TeX, a lone {h} is a placeholder).
+ */
+function lintPlaceholders(template, variables, report) {
+  const used = new Set();
+  const isVariable = name => Object.prototype.hasOwnProperty.call(variables, name);
+
+  for (const { text, path: textPath, extraNames = [] } of eachText(template)) {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      const expression = splitPipes(match[1])[0].trim();
+
+      const term = expression.match(TERM_PLACEHOLDER);
+      if (term) {
+        (term[1].match(IDENTIFIER_PATTERN) || []).filter(isVariable).forEach(name => used.add(name));
+        continue;
+      }
+      if (expression === "rounding" && !isVariable("rounding")) continue;
+
+      const names = getExpressionNames(expression);
+      if (!names || names.length === 0) continue;
+
+      names.filter(isVariable).forEach(name => used.add(name));
+      const unknown = names.filter(name => !isVariable(name) && !extraNames.includes(name));
+      if (unknown.length === 0) continue;
+
+      if (unknown.length < names.length || !isTexArgument(text, match.index)) {
+        report("warning", textPath, `placeholder {${match[1]}} names ${unknown.map(name => `"${name}"`).join(", ")}, ` +
+          `which ${unknown.length === 1 ? "is not a variable" : "are not variables"}; it will be printed as-is`);
+      }
+    }
+  }
+
+  return used;
+}
+
+function isTexArgument(text, offset) {
+  return /(?:[\^_\]}]|\\[a-zA-Z]+)\s*$/.test(text.slice(0, offset));
+}
+
+/**
+ * Split "expr|fmt|fmt:arg" on single pipes, leaving || intact
+ */
+function splitPipes(body) {
+  return body.split(/(?<!\|)\|(?!\|)/);
+}
+
+/**
+ * Names an expression-language expression reads (helpers excluded), or null if it does not parse
+ */
+function getExpressionNames(expression) {
+  try {
+    return window.ExpressionEvaluator.getIdentifiers(expression)
+      .filter(name => !window.ExpressionEvaluator.isKnownName(name));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Variables read by formulas, conditions, exclusions, answerExpression, distractor rules
+ * and ordering values (of the template and its parts)
+ */
+function collectExpressionNames(template, variables) {
+  const names = new Set();
+  const addExpression = expression => {
+    if (typeof expression === "string") (getExpressionNames(expression) || []).forEach(name => names.add(name));
+  };
+  const addMathExpression = expression => {
+    if (typeof expression !== "string") return;
+    try {
+      window.AnswerEvaluator.getMath().parse(expression)
+        .filter(node => node.isSymbolNode)
+        .forEach(node => names.add(node.name));
+    } catch (error) {
+      (expression.match(IDENTIFIER_PATTERN) || []).forEach(name => names.add(name));
+    }
+  };
+
+  for (const spec of Object.values(variables)) {
+    if (!spec || typeof spec !== "object") continue;
+    addExpression(spec.formula);
+    (spec.exclude || []).forEach(entry => typeof entry === "string" && names.add(entry));
+  }
+  [].concat(template.where || [], template.require || []).forEach(addExpression);
+
+  for (const item of [template, ...(Array.isArray(template.parts) ? template.parts : [])]) {
+    if (!item || typeof item !== "object") continue;
+    addMathExpression(item.answerExpression);
+    if (item.distractors) {
+      addExpression(item.distractors.answer);
+      (item.distractors.rules || []).forEach(rule => addExpression(typeof rule === "object" && rule ? rule.expression : rule));
+      const { factor, terms } = item.distractors.distribute || {};
+      [factor, ...(Array.isArray(terms) ? terms : [])].forEach(entry => entry !== undefined && addExpression(String(entry)));
+    }
+    (Array.isArray(item.items) ? item.items : []).forEach(entry => entry && addExpression(String(entry.value ?? "")));
+  }
+
+  return names;
+}
+
+/**
+ * Variables nothing reads. Templates that draw are skipped: the drawing engine
+ * reads variables such as a, h, k or radius by name.
+ */
+function lintUnusedVariables(template, variables, used, report) {
+  const draws = template.draw || (Array.isArray(template.parts) && template.parts.some(part => part && part.draw));
+  if (draws) return;
+
+  for (const name of Object.keys(variables)) {
+    if (!used.has(name)) {
+      report("warning", ["variables", name], `variable "${name}" is never used`);
+    }
+  }
+}
+
+/* -----------------------------
+   Command
+   ----------------------------- */
+
+/**
+ * The manifest's index must match its bank files
+ */
+function lintIndex(manifestFile) {
+  const built = buildBankIndex(manifestFile);
+  if (!built || isBankIndexCurrent(built.file, built.index)) return [];
+  return [createIssue("error", "(index)", [], `${path.relative(process.cwd(), built.file)} is out of date; run npm run index:bank`)];
+}
+
+function lintBank(bank, schema) {
+  const issues = [...lintSchema(bank, schema), ...lintDuplicateIds(bank)];
+  for (const { template } of eachTemplate(bank)) {
+    if (template && typeof template === "object" && !Array.isArray(template)) {
+      issues.push(...lintTemplate(template));
+    }
+  }
+  return issues;
+}
+
+/**
+ * Mark issues listed in known with known: reason, and add a warning for each
+ * entry whose template no longer reports it
+ */
+function applyKnownIssues(issues, known, templateIds, knownFile) {
+  const keyOf = issue => `${issue.id} ${issue.path}`;
+  for (const issue of issues) {
+    if (known.has(keyOf(issue))) issue.known = known.get(keyOf(issue));
+  }
+  const stale = findStaleKnownIssues(known, issues.map(keyOf), templateIds).map(key => {
+    const [id, ...issuePath] = key.split(" ");
+    return {
+      severity: "warning",
+      id,
+      path: issuePath.join(" "),
+      message: `listed in ${path.relative(process.cwd(), knownFile)} but no longer reported; remove the entry`
+    };
+  });
+  return [...issues, ...stale];
+}
+
+function printIssues(issues, templateCount) {
+  issues.forEach(({ severity, id, path: issuePath, message, known }) => {
+    const marker = severity === "error" ? "✘" : "⚠";
+    console.log(`${marker} ${id}${issuePath ? ` ${issuePath}` : ""}: ${message}${known ? ` (known: ${known})` : ""}`);
+  });
+
+  const errors = issues.filter(issue => issue.severity === "error");
+  const knownErrors = errors.filter(issue => issue.known).length;
+  const warnings = issues.length - errors.length;
+  console.log(
+    `\n${errors.length} error${errors.length === 1 ? "" : "s"}${knownErrors ? ` (${knownErrors} known)` : ""}, ` +
+    `${warnings} warning${warnings === 1 ? "" : "s"} in ${templateCount} templates`
+  );
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), ["json"]);
+  const bankFile = path.resolve(positional[0] || DEFAULT_BANK_PATH);
+  const schemaFile = path.resolve(options.schema || DEFAULT_SCHEMA_PATH);
+  const knownFile = path.resolve(options["known-issues"] || DEFAULT_KNOWN_ISSUES_PATH);
+
+  loadBrowserScripts();
+
+  const bank = readBank(bankFile);
+  const schema = JSON.parse(fs.readFileSync(schemaFile, "utf8"));
+  const templateIds = [...eachTemplate(bank)].map(({ template }) => template && template.id);
+  const issues = applyKnownIssues(
+    [...lintIndex(bankFile), ...lintBank(bank, schema)],
+    readKnownIssues("lint:bank", knownFile),
+    templateIds,
+    knownFile
+  );
+
+  if (options.json) {
+    console.log(JSON.stringify(issues, null, 2));
+  } else {
+    printIssues(issues, templateIds.length);
+  }
+  if (issues.some(issue => issue.severity === "error" && !issue.known)) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,454 @@
+/**
+ * Migrate answerFormula → answerExpression
+ *
+ * Usage: node scripts/migrate-bank.js [manifest.json | bank.json] [--out file] [--dry-run] [--samples N]
+ *
+ * Rewrites each template's answerFormula (JavaScript) into a math.js answerExpression
+ * following src/data/question_bank_migration_guide.md:
+ *   simplifyFraction(a, b)          → format(fraction(a, b))
+ *   simplifyRadical(n)              → sqrt(n) (the answer key renders simplified radicals)
+ *   calculateDistance(x1, y1, x2, y2) → sqrt((x2 - x1)^2 + (y2 - y1)^2)
+ *   Math.pow(a, b) → a^b, Math.sqrt/abs/... → sqrt/abs/..., Math.PI → pi
+ *   x.toFixed(n) → round(x, n), ** → ^, && / || / ! → and / or / not
+ *
+ * Formulas using % are not converted: math.js reads it as mod, not the JavaScript remainder.
+ * Every conversion is checked by generating instances of the template and comparing
+ * the old and new results numerically. Templates that cannot be converted or whose
+ * results differ keep their answerFormula and are listed in the report.
+ * Each bank file of a manifest is rewritten in place (--out needs a single bank file);
+ * run npm run index:bank afterwards.
+ */
+
+import path from "node:path";
+import vm from "node:vm";
+import {
+  DEFAULT_BANK_PATH,
+  eachTemplate,
+  loadBrowserScripts,
+  parseArgs,
+  readBankSources,
+  writeBank
+} from "./lib/browser-env.js";
+
+const DEFAULT_SAMPLES = 20;
+const TOLERANCE = 1e-9;
+
+const MATH_FUNCTIONS = {
+  sqrt: "sqrt", cbrt: "cbrt", abs: "abs", sign: "sign",
+  round: "round", floor: "floor", ceil: "ceil", trunc: "fix",
+  sin: "sin", cos: "cos", tan: "tan", asin: "asin", acos: "acos", atan: "atan", atan2: "atan2",
+  exp: "exp", log: "log", log10: "log10", log2: "log2",
+  min: "min", max: "max", hypot: "hypot"
+};
+
+const MATH_CONSTANTS = { PI: "pi", E: "e" };
+
+/* -----------------------------
+   Conversion
+   ----------------------------- */
+
+/**
+ * Convert one answerFormula; returns { expression, problems }
+ */
+function convertFormula(formula) {
+  const problems = [];
+  const source = String(formula).trim();
+
+  if (/=>|`|\b(?:let|const|var|return|function)\b|;/.test(source)) {
+    return { expression: null, problems: ["uses JavaScript statements, template literals or functions"] };
+  }
+  // math.js reads % as mod, which differs from the JavaScript remainder for negative operands
+  if (stripStrings(source).includes("%")) {
+    return { expression: null, problems: ["uses %, whose math.js meaning (mod) differs from JavaScript for negative operands"] };
+  }
+
+  let expression = convertCalls(source, problems);
+  expression = mapCode(expression, code => code
+    .replace(/\bMath\.(PI|E)\b/g, (match, name) => MATH_CONSTANTS[name])
+    .replace(/\*\*/g, "^")
+    .replace(/===/g, "==")
+    .replace(/!==/g, "!=")
+    .replace(/&&/g, " and ")
+    .replace(/\|\|/g, " or ")
+    .replace(/!(?!=)/g, "not ")
+    .replace(/ {2,}/g, " "));
+
+  if (problems.length === 0 && /\bMath\./.test(expression)) {
+    problems.push("uses Math members with no math.js equivalent");
+  }
+  if (problems.length === 0 && /\.\s*[A-Za-z_$]\w*\s*\(/.test(stripStrings(expression))) {
+    problems.push("calls JavaScript methods");
+  }
+
+  return { expression: problems.length ? null : expression.trim(), problems };
+}
+
+/**
+ * Rewrite known function calls, innermost arguments first
+ */
+function convertCalls(text, problems) {
+  let result = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const call = matchCallAt(text, i);
+    if (!call) {
+      result += text[i];
+      i++;
+      continue;
+    }
+
+    const args = call.args.map(arg => convertCalls(arg, problems));
+    const replacement = rewriteCall(call.name, args, problems);
+    result += replacement !== null ? replacement : `${call.name}(${args.join(", ")})`;
+    i = call.end;
+  }
+
+  return rewriteToFixed(result, problems);
+}
+
+function rewriteCall(name, args, problems) {
+  if (name === "Math.pow" && args.length === 2) {
+    return `${wrap(args[0])}^${wrap(args[1])}`;
+  }
+  if (name.startsWith("Math.")) {
+    const fn = MATH_FUNCTIONS[name.slice(5)];
+    if (fn) return `${fn}(${args.join(", ")})`;
+    problems.push(`no math.js equivalent for ${name}`);
+    return null;
+  }
+  if (name === "simplifyFraction" && args.length === 2) {
+    return `format(fraction(${args.join(", ")}))`;
+  }
+  if (name === "simplifyRadical" && args.length === 1) {
+    return `sqrt(${args[0]})`;
+  }
+  if (name === "calculateDistance" && args.length === 4) {
+    const [x1, y1, x2, y2] = args.map(wrap);
+    return `sqrt((${x2} - ${x1})^2 + (${y2} - ${y1})^2)`;
+  }
+  return null;
+}
+
+/**
+ * Find name( at position i and its arguments
+ */
+function matchCallAt(text, i) {
+  if (i > 0 && /[\w$.]/.test(text[i - 1])) return null;
+  const match = text.slice(i).match(/^([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)?)\s*\(/);
+  if (!match) return null;
+
+  const open = i + match[0].length - 1;
+  const close = findClosingParen(text, open);
+  if (close === -1) return null;
+
+  return { name: match[1], args: splitArgs(text.slice(open + 1, close)), end: close + 1 };
+}
+
+/**
+ * (expr).toFixed(n) and name.toFixed(n) → round(expr, n)
+ */
+function rewriteToFixed(text, problems) {
+  let output = text;
+  let match;
+  const pattern = /\.toFixed\s*\(/;
+
+  while ((match = pattern.exec(output)) !== null) {
+    const dot = match.index;
+    const open = dot + match[0].length - 1;
+    const close = findClosingParen(output, open);
+    if (close === -1) break;
+
+    const start = findReceiverStart(output, dot);
+    if (start === -1) {
+      problems.push("toFixed on an expression that could not be parsed");
+      break;
+    }
+
+    const receiver = output.slice(start, dot).trim();
+    const [places = "0"] = splitArgs(output.slice(open + 1, close));
+    if (!/^\d+$/.test(places.trim())) problems.push("toFixed with a computed number of places");
+
+    const inner = receiver.startsWith("(") && findClosingParen(receiver, 0) === receiver.length - 1
+      ? receiver.slice(1, -1)
+      : receiver;
+    output = `${output.slice(0, start)}round(${inner}, ${places.trim()})${output.slice(close + 1)}`;
+  }
+
+  return output;
+}
+
+function findReceiverStart(text, dot) {
+  let i = dot - 1;
+  while (i >= 0 && /\s/.test(text[i])) i--;
+  if (i < 0) return -1;
+
+  if (text[i] === ")") {
+    let depth = 0;
+    for (; i >= 0; i--) {
+      if (text[i] === ")") depth++;
+      if (text[i] === "(") depth--;
+      if (depth === 0) break;
+    }
+    if (i < 0) return -1;
+    // include a function name directly before the parenthesis
+    while (i > 0 && /[\w$]/.test(text[i - 1])) i--;
+    return i;
+  }
+
+  while (i > 0 && /[\w$.]/.test(text[i - 1])) i--;
+  return /[\w$]/.test(text[i]) ? i : -1;
+}
+
+function findClosingParen(text, open) {
+  let depth = 0;
+  let quote = null;
+  for (let i = open; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === "\\") i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === "(") depth++;
+    else if (ch === ")" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+function splitArgs(text) {
+  const args = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      current += ch;
+      if (ch === "\\") current += text[++i] || "";
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"') quote = ch;
+    if ("([{".includes(ch)) depth++;
+    if (")]}".includes(ch)) depth--;
+    if (ch === "," && depth === 0) {
+      args.push(current.trim());
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim() || args.length) args.push(current.trim());
+  return args;
+}
+
+/**
+ * Parenthesize anything that is not a single name or number
+ */
+function wrap(arg) {
+  return /^[\w$.]+$/.test(arg) ? arg : `(${arg})`;
+}
+
+/**
+ * Apply fn to the code between string literals
+ */
+function mapCode(text, fn) {
+  return text
+    .split(/('(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*")/)
+    .map((part, i) => (i % 2 === 1 ? part : fn(part)))
+    .join("");
+}
+
+function stripStrings(text) {
+  return text.replace(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"/g, "''");
+}
+
+/* -----------------------------
+   Verification
+   ----------------------------- */
+
+/**
+ * Old answerFormula semantics: JavaScript over the variables plus the legacy helpers
+ */
+function evaluateOldFormula(formula, variables) {
+  const context = {
+    ...variables,
+    Math,
+    simplifyFraction: (n, d) => n / d,
+    simplifyRadical: n => Math.sqrt(n),
+    calculateDistance: (x1, y1, x2, y2) => Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)
+  };
+  return vm.runInNewContext(`(${formula})`, context, { timeout: 100 });
+}
+
+/**
+ * Numeric value of an old or new result (numbers, fractions, "7/12" strings), or NaN
+ */
+function toNumeric(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return Number(value);
+  if (value && typeof value.valueOf === "function" && typeof value.valueOf() === "number") {
+    return value.valueOf();
+  }
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed === "") return NaN;
+    try {
+      const result = window.math.evaluate(trimmed);
+      return typeof result === "number" ? result : toNumeric(result);
+    } catch (error) {
+      return NaN;
+    }
+  }
+  return NaN;
+}
+
+function sameResult(oldValue, newValue) {
+  const a = toNumeric(oldValue);
+  const b = toNumeric(newValue);
+  if (Number.isNaN(a) || Number.isNaN(b)) {
+    return String(oldValue).trim() === String(newValue).trim();
+  }
+  if (!isFinite(a) || !isFinite(b)) return a === b;
+  return Math.abs(a - b) <= TOLERANCE * Math.max(1, Math.abs(a));
+}
+
+/**
+ * Compare old and new results over several generated instances.
+ * Returns null when they agree, otherwise the reason they don't.
+ */
+function verifyConversion(template, expression, samples) {
+  const { QuestionUtils, AnswerEvaluator } = window;
+  let compared = 0;
+
+  for (let i = 0; i < samples; i++) {
+    const variables = QuestionUtils.generateQuestionVariables(template, {
+      random: QuestionUtils.createSeededRandom("MIGRATE", template.id, i)
+    });
+    const values = { ...variables };
+
+    let oldValue;
+    try {
+      oldValue = evaluateOldFormula(template.answerFormula, values);
+    } catch (error) {
+      continue;
+    }
+
+    let newValue;
+    try {
+      newValue = AnswerEvaluator.evaluateValue(expression, values);
+    } catch (error) {
+      return `answerExpression fails: ${error.message}`;
+    }
+
+    if (!sameResult(oldValue, newValue)) {
+      return `results differ for ${JSON.stringify(values)}: old ${String(oldValue)}, new ${String(newValue)}`;
+    }
+    compared++;
+  }
+
+  return compared === 0 ? "the old answerFormula could not be evaluated for any sample" : null;
+}
+
+/**
+ * Rename answerFormula to answerExpression in place, keeping the key's position
+ */
+function replaceFormula(template, expression) {
+  const entries = Object.entries(template).map(([key, value]) =>
+    key === "answerFormula" ? ["answerExpression", expression] : [key, value]
+  );
+  Object.keys(template).forEach(key => delete template[key]);
+  Object.assign(template, Object.fromEntries(entries));
+}
+
+/* -----------------------------
+   Command
+   ----------------------------- */
+
+function migrateBank(bank, samples) {
+  const report = { converted: [], unsafe: [] };
+
+  for (const { template } of eachTemplate(bank)) {
+    if (!Object.prototype.hasOwnProperty.call(template, "answerFormula")) continue;
+
+    if (template.answerExpression) {
+      report.unsafe.push({ id: template.id, reason: "already has an answerExpression; remove one of the two fields" });
+      continue;
+    }
+
+    const { expression, problems } = convertFormula(template.answerFormula);
+    if (!expression) {
+      report.unsafe.push({ id: template.id, formula: template.answerFormula, reason: problems.join("; ") });
+      continue;
+    }
+
+    const mismatch = verifyConversion(template, expression, samples);
+    if (mismatch) {
+      report.unsafe.push({ id: template.id, formula: template.answerFormula, expression, reason: mismatch });
+      continue;
+    }
+
+    report.converted.push({ id: template.id, formula: template.answerFormula, expression });
+    replaceFormula(template, expression);
+  }
+
+  return report;
+}
+
+function printReport(report, outFiles, dryRun) {
+  const { converted, unsafe } = report;
+
+  converted.forEach(({ id, formula, expression }) => {
+    console.log(`✔ ${id}: ${formula}  →  ${expression}`);
+  });
+
+  if (unsafe.length) {
+    console.log(`\nNot converted (${unsafe.length}):`);
+    unsafe.forEach(({ id, formula, expression, reason }) => {
+      console.log(`✘ ${id}: ${reason}`);
+      if (formula) console.log(`    answerFormula:    ${formula}`);
+      if (expression) console.log(`    answerExpression: ${expression}`);
+    });
+  }
+
+  let target = `written to ${outFiles.map(file => path.relative(process.cwd(), file)).join(", ")}`;
+  if (dryRun) target = "dry run, nothing written";
+  else if (converted.length === 0) target = "nothing to write";
+  console.log(`\n${converted.length} converted, ${unsafe.length} need manual migration (${target})`);
+}
+
+function main() {
+  const { positional, options } = parseArgs(process.argv.slice(2), ["dry-run"]);
+  const inFile = path.resolve(positional[0] || DEFAULT_BANK_PATH);
+  const dryRun = Boolean(options["dry-run"]);
+  const samples = Number(options.samples) || DEFAULT_SAMPLES;
+
+  const sources = readBankSources(inFile);
+  if (options.out && sources.length > 1) {
+    console.error("✘ --out needs a single bank file; the bank files of a manifest are rewritten in place");
+    process.exitCode = 1;
+    return;
+  }
+
+  loadBrowserScripts();
+  const report = { converted: [], unsafe: [] };
+  const outFiles = [];
+  for (const { file, bank } of sources) {
+    const { converted, unsafe } = migrateBank(bank, samples);
+    report.converted.push(...converted);
+    report.unsafe.push(...unsafe);
+
+    if (!dryRun && converted.length > 0) {
+      const outFile = path.resolve(options.out || file);
+      writeBank(outFile, bank);
+      outFiles.push(outFile);
+    }
+  }
+
+  printReport(report, outFiles, dryRun);
+  if (report.unsafe.length > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,252 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import { loadBrowserScripts, readBankSources } from "../scripts/lib/browser-env.js";
+
+const { QuestionGenerator } = loadBrowserScripts();
+const IMPORTED_BANKS_STORAGE_KEY = "assessmentBuilder.importedBanks";
+
+const template = (id, objective = "Solving", difficulty = "basic") =>
+  ({ id, type: "template", objective, difficulty, question: `Question ${id}` });
+
+const ALGEBRA = {
+  Algebra: {
+    settings: { rounding: "nearest tenth" },
+    "Chapter 1": [template("A-1"), template("A-2", "Graphing", "intermediate")]
+  }
+};
+const GEOMETRY = {
+  Geometry: {
+    "Chapter 1": [template("G-1", "Area")]
+  }
+};
+
+/**
+ * Serve files (path → JSON) from http://test/ and keep imported banks in a fresh
+ * localStorage; returns the paths fetched
+ */
+function serve(files, storage = {}) {
+  const fetched = [];
+  globalThis.location = { href: "http://test/index.html" };
+  globalThis.fetch = async url => {
+    const file = new URL(url, globalThis.location.href).pathname.slice(1);
+    fetched.push(file);
+    if (!(file in files)) return { ok: false, status: 404 };
+    return { ok: true, json: async () => structuredClone(files[file]) };
+  };
+  globalThis.localStorage = {
+    getItem: key => (key in storage ? storage[key] : null),
+    setItem: (key, value) => {
+      storage[key] = value;
+    }
+  };
+  return fetched;
+}
+
+function manifestFiles({ index = true } = {}) {
+  const banks = { "banks/algebra.json": ALGEBRA, "banks/geometry.json": GEOMETRY };
+  const files = {
+    "data/banks.json": { banks: Object.keys(banks), ...(index ? { index: "index.json" } : {}) },
+    ...Object.fromEntries(Object.entries(banks).map(([name, bank]) => [`data/${name}`, bank]))
+  };
+  if (index) {
+    files["data/index.json"] = QuestionGenerator.createBankIndex(Object.entries(banks).map(([name, bank]) => ({ name, bank })));
+  }
+  return files;
+}
+
+function storedImports(...banks) {
+  return { [IMPORTED_BANKS_STORAGE_KEY]: JSON.stringify(banks) };
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe("mergeQuestionBanks", () => {
+  test("merges by course and chapter in source order", () => {
+    const { bank, collisions } = QuestionGenerator.mergeQuestionBanks([
+      { name: "one", bank: { Algebra: { "Chapter 1": [template("A-1")] } } },
+      { name: "two", bank: { Algebra: { "Chapter 1": [template("A-2")], "Chapter 2": [template("A-3")] } } }
+    ]);
+    assert.deepEqual(bank.Algebra["Chapter 1"].map(({ id }) => id), ["A-1", "A-2"]);
+    assert.deepEqual(bank.Algebra["Chapter 2"].map(({ id }) => id), ["A-3"]);
+    assert.deepEqual(collisions, []);
+  });
+
+  test("skips a template whose id an earlier source uses and reports it", () => {
+    const { bank, collisions, owners } = QuestionGenerator.mergeQuestionBanks([
+      { name: "one", bank: { Algebra: { "Chapter 1": [template("A-1")] } } },
+      { name: "two", bank: { Algebra: { "Chapter 2": [{ ...template("A-1"), question: "Other" }] } } }
+    ]);
+    assert.equal(bank.Algebra["Chapter 1"][0].question, "Question A-1");
+    assert.deepEqual(bank.Algebra["Chapter 2"], []);
+    assert.deepEqual(collisions, [{ id: "A-1", source: "two", existing: "one", course: "Algebra", chapter: "Chapter 2" }]);
+    assert.equal(owners.get("A-1"), "one");
+  });
+
+  test("keeps ids repeated inside one source", () => {
+    const { bank, collisions } = QuestionGenerator.mergeQuestionBanks([
+      { name: "one", bank: { Algebra: { "Chapter 1": [template("A-1"), template("A-1")] } } }
+    ]);
+    assert.equal(bank.Algebra["Chapter 1"].length, 2);
+    assert.deepEqual(collisions, []);
+  });
+
+  test("skips ids reserved for another source", () => {
+    const { bank, collisions } = QuestionGenerator.mergeQuestionBanks(
+      [{ name: "mine.json", bank: { Algebra: { Extra: [template("A-1"), template("M-1")] } } }],
+      new Map([["A-1", "banks/algebra.json"]])
+    );
+    assert.deepEqual(bank.Algebra.Extra.map(({ id }) => id), ["M-1"]);
+    assert.equal(collisions[0].existing, "banks/algebra.json");
+  });
+
+  test("merges course settings key by key, earlier sources first", () => {
+    const { bank } = QuestionGenerator.mergeQuestionBanks([
+      { name: "one", bank: { Algebra: { settings: { rounding: "nearest tenth" } } } },
+      { name: "two", bank: { Algebra: { settings: { rounding: "exact", calculator: false } } } }
+    ]);
+    assert.deepEqual(bank.Algebra.settings, { rounding: "nearest tenth", calculator: false });
+  });
+});
+
+describe("loadQuestionBank", () => {
+  test("lists every course from the index and fetches a course's file on demand", async () => {
+    const fetched = serve(manifestFiles());
+    const generator = new QuestionGenerator.constructor();
+
+    assert.equal(await generator.loadQuestionBank("data/banks.json"), true);
+    assert.deepEqual(fetched, ["data/banks.json", "data/index.json"]);
+    assert.deepEqual(generator.getCourses(), ["Algebra", "Geometry"]);
+    assert.deepEqual(generator.getChapterObjectives("Algebra", ["Chapter 1"]), ["Solving", "Graphing"]);
+    assert.equal(generator.isCourseLoaded("Algebra"), false);
+    assert.equal(generator.getQuestionById("A-1"), null);
+
+    assert.equal(await generator.loadCourse("Algebra"), true);
+    assert.deepEqual(fetched.slice(2), ["data/banks/algebra.json"]);
+    assert.equal(generator.isCourseLoaded("Algebra"), true);
+    assert.equal(generator.getQuestionById("A-1").question, "Question A-1");
+    assert.deepEqual(generator.getCourseSettings("Algebra"), { rounding: "nearest tenth" });
+  });
+
+  test("fetches every file up front without an index", async () => {
+    const fetched = serve(manifestFiles({ index: false }));
+    const generator = new QuestionGenerator.constructor();
+
+    assert.equal(await generator.loadQuestionBank("data/banks.json"), true);
+    assert.deepEqual(fetched.slice(1).sort(), ["data/banks/algebra.json", "data/banks/geometry.json"]);
+    assert.ok(generator.getQuestionById("A-1"));
+    assert.ok(generator.getQuestionById("G-1"));
+  });
+
+  test("loads a single bank file", async () => {
+    serve({ "data/bank.json": ALGEBRA });
+    const generator = new QuestionGenerator.constructor();
+
+    assert.equal(await generator.loadQuestionBank("data/bank.json"), true);
+    assert.deepEqual(generator.getCourses(), ["Algebra"]);
+    assert.ok(generator.getQuestionById("A-2"));
+  });
+
+  test("reports a failed load", async t => {
+    t.mock.method(console, "error", () => {});
+    serve({});
+    const generator = new QuestionGenerator.constructor();
+
+    assert.equal(await generator.loadQuestionBank("data/banks.json"), false);
+  });
+
+  test("keeps a built-in id for its file when an imported bank loaded first uses it", async () => {
+    const imported = { name: "mine.json", bank: { Algebra: { Extra: [{ ...template("A-1"), question: "Mine" }, template("M-1")] } } };
+    serve(manifestFiles(), storedImports(imported));
+    const generator = new QuestionGenerator.constructor();
+
+    await generator.loadQuestionBank("data/banks.json");
+    assert.ok(generator.getQuestionById("M-1"));
+    assert.equal(generator.getQuestionById("A-1"), null);
+
+    await generator.loadCourse("Algebra");
+    assert.equal(generator.getQuestionById("A-1").question, "Question A-1");
+    assert.deepEqual(generator.collisions.map(({ id, source }) => [id, source]), [["A-1", "mine.json"]]);
+  });
+
+  test("loads the repository's bank without collisions", async () => {
+    const sources = readBankSources();
+    const files = { "data/question_banks.json": { banks: sources.map(({ name }) => name) } };
+    sources.forEach(({ name, bank }) => {
+      files[`data/${name}`] = bank;
+    });
+    serve(files);
+    const generator = new QuestionGenerator.constructor();
+
+    assert.equal(await generator.loadQuestionBank("data/question_banks.json"), true);
+    assert.deepEqual(generator.collisions, []);
+    assert.deepEqual(generator.getCourses(), ["Algebra 1", "Geometry", "Algebra 2", "Precalculus"]);
+  });
+});
+
+describe("importQuestionBank", () => {
+  async function loadGenerator(storage = {}) {
+    serve(manifestFiles({ index: false }), storage);
+    const generator = new QuestionGenerator.constructor();
+    await generator.loadQuestionBank("data/banks.json");
+    return generator;
+  }
+
+  test("stores a valid bank and merges it in", async () => {
+    const storage = {};
+    const generator = await loadGenerator(storage);
+    const text = JSON.stringify({ Algebra: { Extra: [template("M-1")] } });
+
+    const result = generator.importQuestionBank("mine.json", text);
+    assert.deepEqual(result, { imported: true, errors: [], warnings: [], templateCount: 1 });
+    assert.ok(generator.getQuestionById("M-1"));
+    assert.deepEqual(generator.getImportedBanks().map(({ name, templateCount }) => [name, templateCount]), [["mine.json", 1]]);
+    assert.equal(JSON.parse(storage[IMPORTED_BANKS_STORAGE_KEY])[0].name, "mine.json");
+  });
+
+  test("rejects text that is not JSON", async () => {
+    const generator = await loadGenerator();
+    const result = generator.importQuestionBank("broken.json", "{ nope");
+
+    assert.equal(result.imported, false);
+    assert.match(result.errors[0], /^broken\.json is not valid JSON/);
+  });
+
+  test("rejects a bank whose ids another bank already uses", async () => {
+    const storage = {};
+    const generator = await loadGenerator(storage);
+    const result = generator.importQuestionBank("mine.json", JSON.stringify({ Algebra: { Extra: [template("A-1")] } }));
+
+    assert.equal(result.imported, false);
+    assert.equal(result.errors.length, 1);
+    assert.match(result.errors[0], /A-1/);
+    assert.equal(storage[IMPORTED_BANKS_STORAGE_KEY], undefined);
+  });
+
+  test("rejects templates without an id or question", async () => {
+    const generator = await loadGenerator();
+    const result = generator.importQuestionBank("mine.json", JSON.stringify({ Algebra: { Extra: [{ question: "No id" }, { id: "M-2" }] } }));
+
+    assert.equal(result.imported, false);
+    assert.equal(result.errors.length, 2);
+  });
+
+  test("replaces an import with the same name and removes it again", async () => {
+    const storage = {};
+    const generator = await loadGenerator(storage);
+    generator.importQuestionBank("mine.json", JSON.stringify({ Algebra: { Extra: [template("M-1")] } }));
+    generator.importQuestionBank("mine.json", JSON.stringify({ Algebra: { Extra: [template("M-1"), template("M-2")] } }));
+    assert.deepEqual(generator.getImportedBanks().map(({ templateCount }) => templateCount), [2]);
+    assert.deepEqual(generator.collisions, []);
+
+    generator.removeImportedBank("mine.json");
+    assert.equal(generator.getQuestionById("M-1"), null);
+    assert.deepEqual(JSON.parse(storage[IMPORTED_BANKS_STORAGE_KEY]), []);
+  });
+});
@@ -0,0 +1,128 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { loadBrowserScripts } from "../scripts/lib/browser-env.js";
+
+const { QuestionUtils, QuestionGenerator } = loadBrowserScripts();
+const { createSeededRandom, formatValueForDisplay, parseRoundingPolicy } = QuestionUtils;
+
+function generate(template, options = {}) {
+  return QuestionGenerator.generateQuestion(template, { random: createSeededRandom("ROUNDING", template.id), ...options });
+}
+
+describe("parseRoundingPolicy", () => {
+  test("reads place names, decimal places and significant figures", () => {
+    assert.deepEqual(parseRoundingPolicy("nearest tenth"), { decimals: 1 });
+    assert.deepEqual(parseRoundingPolicy("to the nearest whole number"), { decimals: 0 });
+    assert.deepEqual(parseRoundingPolicy("2 decimal places"), { decimals: 2 });
+    assert.deepEqual(parseRoundingPolicy("3 significant figures"), { sigFigs: 3 });
+  });
+
+  test("reads exact policies", () => {
+    assert.deepEqual(parseRoundingPolicy("exact"), { exact: true });
+    assert.deepEqual(parseRoundingPolicy("exact and decimal"), { exact: true, decimals: 2 });
+    assert.deepEqual(parseRoundingPolicy("exact and nearest hundredth"), { exact: true, decimals: 2 });
+  });
+
+  test("returns null for no policy and warns about an unknown one", t => {
+    const warn = t.mock.method(console, "warn", () => {});
+    assert.equal(parseRoundingPolicy(undefined), null);
+    assert.equal(parseRoundingPolicy(""), null);
+    assert.equal(warn.mock.callCount(), 0);
+
+    assert.equal(parseRoundingPolicy("roughly"), null);
+    assert.equal(warn.mock.callCount(), 1);
+  });
+});
+
+describe("formatValueForDisplay", () => {
+  test("rounds non-integers to the policy", () => {
+    assert.equal(formatValueForDisplay(2 / 3, { decimals: 2 }), "0.67");
+    assert.equal(formatValueForDisplay(2.5, { decimals: 2 }), "2.50");
+    assert.equal(formatValueForDisplay(1234.5678, { sigFigs: 3 }), "1.23 \\times 10^{3}");
+  });
+
+  test("never pads integers", () => {
+    assert.equal(formatValueForDisplay(7, { decimals: 2 }), "7");
+    assert.equal(formatValueForDisplay(-12, { sigFigs: 4 }), "-12");
+  });
+
+  test("shows the exact value beside the decimal for exact policies", () => {
+    assert.equal(formatValueForDisplay(2 / 3, { exact: true, decimals: 2 }), "\\( \\frac{2}{3} \\approx 0.67 \\)");
+  });
+});
+
+describe("rounding during generation", () => {
+  const template = {
+    id: "ROUND-1",
+    question: "\\( x^{ {a} } \\), {a}, {r} and {b}",
+    variables: {
+      a: { values: [5] },
+      b: { formula: "a/3" },
+      r: { formula: "a/7", rounding: "nearest tenth" }
+    },
+    answerExpression: "a/3",
+    rounding: "2 decimal places"
+  };
+
+  test("rounds the answer and variables that opt in, not the question's other values", () => {
+    const question = generate(template);
+    assert.equal(question.questionText, "\\( x^{ 5 } \\), 5, 0.7 and \\( \\frac{5}{3} \\)");
+    assert.equal(question.answer, "\\( 1.67 \\)");
+  });
+
+  test("lets the generation override replace template and variable policies", () => {
+    const question = generate(template, { rounding: "nearest thousandth" });
+    assert.equal(question.questionText, "\\( x^{ 5 } \\), 5, 0.714 and \\( \\frac{5}{3} \\)");
+    assert.equal(question.answer, "\\( 1.667 \\)");
+  });
+
+  test("rounds answer placeholders but leaves integers unpadded", () => {
+    const question = generate({
+      id: "ROUND-2",
+      question: "Share {a} pizzas among 4.",
+      variables: { a: { values: [6] } },
+      answer: "{a/4} each, {a} in all",
+      rounding: "2 decimal places"
+    });
+    assert.equal(question.answer, "1.50 each, 6 in all");
+  });
+
+  test("leaves integer answers unpadded", () => {
+    const question = generate({
+      id: "ROUND-3",
+      question: "Divide {a} by 3.",
+      variables: { a: { values: [6] } },
+      answerExpression: "a/3",
+      rounding: "2 decimal places"
+    });
+    assert.equal(question.answer, "\\( 2 \\)");
+  });
+
+  test("rounds matrix entries but keeps integer entries unpadded", () => {
+    const question = generate({
+      id: "ROUND-4",
+      question: "Halve the entries of row 2.",
+      variables: { a: { values: [2] } },
+      answerExpression: "[[a, 1], [a/4, 3]]",
+      rounding: "2 decimal places"
+    });
+    assert.equal(question.answer, "\\( \\begin{bmatrix} 2 & 1 \\\\ 0.50 & 3 \\end{bmatrix} \\)");
+  });
+
+  test("falls back to the course policy, which a template policy replaces", () => {
+    const generator = new QuestionGenerator.constructor();
+    const variables = { a: { values: [2] } };
+    generator.setQuestionBank({
+      Course: {
+        settings: { rounding: "nearest tenth" },
+        Chapter: [
+          { id: "ROUND-5", question: "Divide {a} by 3.", variables, answerExpression: "a/3" },
+          { id: "ROUND-6", question: "Divide {a} by 3.", variables, answerExpression: "a/3", rounding: "exact" }
+        ]
+      }
+    });
+    const answerOf = id => generator.generateQuestion(generator.getQuestionById(id), { random: Math.random }).answer;
+    assert.equal(answerOf("ROUND-5"), "\\( 0.7 \\)");
+    assert.equal(answerOf("ROUND-6"), "\\( \\frac{2}{3} \\)");
+  });
+});
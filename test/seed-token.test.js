@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { loadBrowserScripts } from "../scripts/lib/browser-env.js";
+
+const { formatSeedToken, parseSeedToken } = loadBrowserScripts().QuestionUtils;
+
+describe("formatSeedToken", () => {
+  test("prints the bare seed for the default settings", () => {
+    assert.equal(formatSeedToken("K7Q2M9"), "K7Q2M9");
+    assert.equal(formatSeedToken("K7Q2M9", { count: 1, shuffle: false, shuffleChoices: false, rounding: "" }), "K7Q2M9");
+  });
+
+  test("appends form count, shuffling and rounding", () => {
+    assert.equal(formatSeedToken("K7Q2M9", { count: 3 }), "K7Q2M9-3");
+    assert.equal(formatSeedToken("K7Q2M9", { count: 3, shuffle: true, shuffleChoices: true }), "K7Q2M9-3SC");
+    assert.equal(formatSeedToken("K7Q2M9", { shuffleChoices: true }), "K7Q2M9-1C");
+    assert.equal(formatSeedToken("K7Q2M9", { count: 2, rounding: "exact and 2 decimal places" }), "K7Q2M9-2RED2");
+    assert.equal(formatSeedToken("K7Q2M9", { rounding: "3 significant figures" }), "K7Q2M9-1RS3");
+    assert.equal(formatSeedToken("K7Q2M9", { rounding: "exact" }), "K7Q2M9-1RE");
+  });
+});
+
+describe("parseSeedToken", () => {
+  test("reads a bare seed without settings", () => {
+    assert.deepEqual(parseSeedToken("K7Q2M9"), { seed: "K7Q2M9", settings: null });
+    assert.deepEqual(parseSeedToken("  quiz1 "), { seed: "QUIZ1", settings: null });
+  });
+
+  test("reads the settings after the dash", () => {
+    assert.deepEqual(parseSeedToken("k7q2m9-3sc"), {
+      seed: "K7Q2M9",
+      settings: { count: 3, shuffle: true, shuffleChoices: true, rounding: "" }
+    });
+    assert.equal(parseSeedToken("K7Q2M9-2RED2").settings.rounding, "exact and 2 decimal places");
+    assert.equal(parseSeedToken("K7Q2M9-1RS3").settings.rounding, "3 significant figures");
+    assert.equal(parseSeedToken("K7Q2M9-1RE").settings.rounding, "exact");
+  });
+
+  test("keeps a form count the form cannot show, so the caller can report it", () => {
+    assert.equal(parseSeedToken("K7Q2M9-9").settings.count, 9);
+  });
+
+  test("rejects text that is neither a seed nor a seed with settings", () => {
+    for (const text of ["my seed", "QUIZ-X", "A-B-2", "-3", "", "K7Q2M9-", "TOOLONGSEED123"]) {
+      assert.equal(parseSeedToken(text), null, text);
+    }
+  });
+
+  test("round-trips every combination of settings", () => {
+    for (const count of [1, 2, 6]) {
+      for (const shuffle of [false, true]) {
+        for (const shuffleChoices of [false, true]) {
+          for (const rounding of ["", "exact", "2 decimal places", "exact and 4 significant figures"]) {
+            const settings = { count, shuffle, shuffleChoices, rounding };
+            const parsed = parseSeedToken(formatSeedToken("QUIZ7", settings));
+            const isDefault = count === 1 && !shuffle && !shuffleChoices && !rounding;
+            assert.deepEqual(parsed, { seed: "QUIZ7", settings: isDefault ? null : settings });
+          }
+        }
+      }
+    }
+  });
+});